@@ -126,7 +126,8 @@ async function importData(backupData, clearExisting = false) {
             try {
                 await window.InvantiaDB.createCollection({
                     name: collection.name,
-                    description: collection.description
+                    description: collection.description,
+                    chunkingProfile: collection.chunkingProfile
                 });
                 stats.collectionsImported++;
             } catch (error) {
@@ -134,7 +135,10 @@ async function importData(backupData, clearExisting = false) {
             }
         }
         
-        // Import documents
+        // Import documents (old ID -> new ID, so attachments keep their parent)
+        const documentIdMap = {};
+        const alreadyStored = new Set();
+        
         for (const doc of backupData.documents || []) {
             try {
                 const docId = await window.InvantiaDB.addDocument({
@@ -142,9 +146,25 @@ async function importData(backupData, clearExisting = false) {
                     description: doc.description,
                     userDefinedId: doc.userDefinedId,
                     content: doc.content,
+                    rawContent: doc.rawContent,
                     fileType: doc.fileType,
-                    size: doc.size
+                    size: doc.size,
+                    pages: doc.pages,
+                    sections: doc.sections,
+                    sheets: doc.sheets,
+                    turns: doc.turns,
+                    slides: doc.slides,
+                    email: doc.email,
+                    properties: doc.properties,
+                    textLayer: doc.textLayer,
+                    parentDocumentId: documentIdMap[doc.parentDocumentId],
+                    folderPath: doc.folderPath,
+                    removedBoilerplate: doc.removedBoilerplate,
+                    chunkingProfile: doc.chunkingProfile,
+                    chunkOverlap: doc.chunkOverlap,
+                    fileHash: doc.fileHash
                 });
+                documentIdMap[doc.id] = docId;
                 stats.documentsImported++;
                 
                 // Import chunks for this document
@@ -156,7 +176,27 @@ async function importData(backupData, clearExisting = false) {
                             collectionId: chunk.collectionId,
                             chunkNumber: chunk.chunkNumber,
                             content: chunk.content,
-                            charCount: chunk.charCount
+                            charCount: chunk.charCount,
+                            pageStart: chunk.pageStart,
+                            pageEnd: chunk.pageEnd,
+                            headingPath: chunk.headingPath,
+                            sheetName: chunk.sheetName,
+                            rowStart: chunk.rowStart,
+                            rowEnd: chunk.rowEnd,
+                            speakers: chunk.speakers,
+                            timeStart: chunk.timeStart,
+                            timeEnd: chunk.timeEnd,
+                            slideStart: chunk.slideStart,
+                            slideEnd: chunk.slideEnd,
+                            clauseStart: chunk.clauseStart,
+                            clauseEnd: chunk.clauseEnd,
+                            sentenceStart: chunk.sentenceStart,
+                            sentenceEnd: chunk.sentenceEnd,
+                            overlapChars: chunk.overlapChars,
+                            rawContent: chunk.rawContent,
+                            rawOverlapChars: chunk.rawOverlapChars,
+                            sender: chunk.sender,
+                            sentDate: chunk.sentDate
                         });
                         stats.chunksImported++;
                     } catch (error) {
@@ -165,10 +205,33 @@ async function importData(backupData, clearExisting = false) {
                 }
                 
             } catch (error) {
+                // Already stored: later attachments still link to the existing copy
+                if (error.name === 'DuplicateDocumentError') {
+                    documentIdMap[doc.id] = error.existingDocumentId;
+                    alreadyStored.add(doc.id);
+                }
                 stats.errors.push(`Document "${doc.name}": ${error.message}`);
             }
         }
         
+        // Restore version history once every version has its new ID
+        for (const doc of backupData.documents || []) {
+            if (!doc.versionGroupId || alreadyStored.has(doc.id) ||
+                !documentIdMap[doc.id] || !documentIdMap[doc.versionGroupId]) {
+                continue;
+            }
+            
+            try {
+                await window.InvantiaDB.updateDocument(documentIdMap[doc.id], {
+                    versionGroupId: documentIdMap[doc.versionGroupId],
+                    version: doc.version,
+                    isSearchable: doc.isSearchable
+                });
+            } catch (error) {
+                stats.errors.push(`Versions of "${doc.name}": ${error.message}`);
+            }
+        }
+        
         hideProgress();
         
         return stats;
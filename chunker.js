@@ -5,10 +5,16 @@
 // Maintains context by preserving complete sentences
 //
 // Chunking Strategy:
-// - Target size: ~2000 characters per chunk
-// - Break on sentence boundaries (periods, question marks, exclamation points)
+// - Target size: ~2000 characters per chunk (or ~500 estimated tokens, see tokenizer.js)
+// - Break on sentence boundaries (periods, question marks, exclamation points),
+//   skipping abbreviations, initials and list markers (see sentence-splitter.js)
 // - Preserve paragraph structure where possible
-// - Generate optional overlap for context continuity
+// - Optional overlap for context continuity: chunks record how many characters they repeat
+// - Spreadsheets: whole rows only, with the header row repeated in every chunk
+// - Transcripts: whole speaker turns, so chunks break where the speaker changes
+// - Presentations: whole slides, with each slide's speaker notes
+// - Contracts (clause strategy): numbered clauses and headings, with the clause identifier
+// - Chunking profiles (see config.js) set size, unit, overlap and strategy per document
 
 // ============================================================================
 // CONFIGURATION
@@ -19,6 +25,11 @@ const MIN_CHUNK_SIZE = 500;      // Minimum chunk size (to avoid tiny chunks)
 const MAX_CHUNK_SIZE = 3000;     // Maximum chunk size (hard limit)
 const OVERLAP_SIZE = 200;        // Characters to overlap between chunks (optional)
 
+// The same limits in estimated tokens (~4 characters per token in English prose)
+const DEFAULT_CHUNK_TOKENS = 500;
+const MIN_CHUNK_TOKENS = 125;
+const MAX_CHUNK_TOKENS = 750;
+
 // Sentence ending patterns
 const SENTENCE_ENDINGS = /[.!?]+[\s\n]/g;
 
@@ -28,134 +39,162 @@ const SENTENCE_ENDINGS = /[.!?]+[\s\n]/g;
 
 /**
  * Split text into sentences
- * Handles common abbreviations and edge cases
+ * Abbreviations (No. 5, Sec. 4.2, U.S.C.), initials, decimals, list markers
+ * and quotations are handled by sentence-splitter.js
  * 
  * @param {string} text - Text to split
+ * @param {Object} options - Abbreviation lexicons (see InvantiaSentences.getLexicon); defaults from config.js
  * @returns {Array<string>} Array of sentences
  */
-function splitIntoSentences(text) {
-    // Common abbreviations that shouldn't trigger sentence breaks
-    const abbreviations = [
-        'Mr.', 'Mrs.', 'Ms.', 'Dr.', 'Prof.', 'Sr.', 'Jr.',
-        'Inc.', 'Ltd.', 'Corp.', 'Co.',
-        'etc.', 'vs.', 'e.g.', 'i.e.',
-        'U.S.', 'U.K.'
-    ];
-    
-    // Temporarily replace abbreviations with placeholders
-    let processedText = text;
-    const placeholders = [];
-    
-    abbreviations.forEach((abbr, index) => {
-        const placeholder = `__ABBR${index}__`;
-        placeholders.push({ placeholder, abbr });
-        processedText = processedText.replace(new RegExp(abbr.replace('.', '\\.'), 'g'), placeholder);
-    });
-    
-    // Split on sentence endings
-    const sentences = [];
-    let currentSentence = '';
+function splitIntoSentences(text, options = {}) {
+    return window.InvantiaSentences.splitSentences(text, options);
+}
+
+// ============================================================================
+// CHUNKING FUNCTIONS
+// ============================================================================
+
+/**
+ * Locate each sentence in the source text
+ * Sentences are trimmed substrings of the text, so they can be found in order
+ * 
+ * @param {string} text - Document text
+ * @param {Array<string>} sentences - Sentences from splitIntoSentences
+ * @returns {Array<Object>} Array of {start, end} character offsets
+ */
+function locateSentences(text, sentences) {
+    const spans = [];
+    let cursor = 0;
     
-    for (let i = 0; i < processedText.length; i++) {
-        const char = processedText[i];
-        currentSentence += char;
+    sentences.forEach(sentence => {
+        let start = text.indexOf(sentence, cursor);
         
-        // Check if this is a sentence ending
-        if (/[.!?]/.test(char)) {
-            // Look ahead to see if next char is whitespace or newline
-            if (i + 1 < processedText.length && /[\s\n]/.test(processedText[i + 1])) {
-                // Complete sentence found
-                currentSentence = currentSentence.trim();
-                if (currentSentence.length > 0) {
-                    sentences.push(currentSentence);
-                }
-                currentSentence = '';
-            }
+        // Fall back to the cursor so offsets stay in document order
+        if (start === -1) {
+            start = cursor;
         }
-    }
-    
-    // Add any remaining text as final sentence
-    if (currentSentence.trim().length > 0) {
-        sentences.push(currentSentence.trim());
-    }
-    
-    // Restore abbreviations in sentences
-    const restoredSentences = sentences.map(sentence => {
-        let restored = sentence;
-        placeholders.forEach(({ placeholder, abbr }) => {
-            restored = restored.replace(new RegExp(placeholder, 'g'), abbr);
-        });
-        return restored;
+        
+        const end = Math.min(text.length, start + sentence.length);
+        spans.push({ start, end });
+        cursor = end;
     });
     
-    return restoredSentences;
+    return spans;
 }
 
-// ============================================================================
-// CHUNKING FUNCTIONS
-// ============================================================================
+/**
+ * Build a chunk object
+ * 
+ * @param {number} chunkNumber - Sequential chunk number
+ * @param {string} content - Chunk text
+ * @param {number} startOffset - Offset of the first character in the document text
+ * @param {number} endOffset - Offset just past the last character in the document text
+ * @returns {Object} Chunk object
+ */
+function buildChunk(chunkNumber, content, startOffset, endOffset) {
+    const trimmed = content.trim();
+    
+    return {
+        chunkNumber: chunkNumber,
+        content: trimmed,
+        charCount: trimmed.length,
+        sentenceCount: countSentences(trimmed),
+        startOffset: startOffset,
+        endOffset: endOffset
+    };
+}
+
+/**
+ * Size limits and measure for a budget unit
+ * 
+ * @param {string} unit - 'characters' or 'tokens'
+ * @param {Object} bounds - Optional {minSize, maxSize} in the unit, replacing the defaults
+ * @returns {Object} {target, min, max, measure, separator}
+ */
+function getSizeLimits(unit, bounds = {}) {
+    if (unit === 'tokens') {
+        return {
+            target: DEFAULT_CHUNK_TOKENS,
+            min: bounds.minSize || MIN_CHUNK_TOKENS,
+            max: bounds.maxSize || MAX_CHUNK_TOKENS,
+            measure: (text) => window.InvantiaTokenizer.estimateTokens(text),
+            separator: 0  // the joining space belongs to the next word's token
+        };
+    }
+    
+    return {
+        target: DEFAULT_CHUNK_SIZE,
+        min: bounds.minSize || MIN_CHUNK_SIZE,
+        max: bounds.maxSize || MAX_CHUNK_SIZE,
+        measure: (text) => text.length,
+        separator: 1
+    };
+}
 
 /**
  * Create chunks from text without overlap
  * Chunks are created on sentence boundaries
+ * Each chunk records the character span it covers in the source text
  * 
  * @param {string} text - Document text
- * @param {number} targetSize - Target chunk size in characters
+ * @param {number} targetSize - Target chunk size in the unit (default: 2000 characters or 500 tokens)
+ * @param {string} unit - 'characters' (default) or 'tokens' (estimated, see tokenizer.js)
+ * @param {Object} bounds - Optional {minSize, maxSize} in the unit
  * @returns {Array<Object>} Array of chunk objects
  */
-function createChunks(text, targetSize = DEFAULT_CHUNK_SIZE) {
+function createChunks(text, targetSize = null, unit = 'characters', bounds = {}) {
     const sentences = splitIntoSentences(text);
+    const spans = locateSentences(text, sentences);
+    const limits = getSizeLimits(unit, bounds);
     const chunks = [];
     
+    targetSize = targetSize || limits.target;
+    
     let currentChunk = '';
+    let currentSize = 0;
     let chunkNumber = 0;
+    let chunkStart = 0;
+    let chunkEnd = 0;
     
     for (let i = 0; i < sentences.length; i++) {
         const sentence = sentences[i];
+        const sentenceSize = limits.measure(sentence);
         
         // Check if adding this sentence would exceed target size
         if (currentChunk.length > 0 && 
-            currentChunk.length + sentence.length + 1 > targetSize &&
-            currentChunk.length >= MIN_CHUNK_SIZE) {
+            currentSize + sentenceSize + limits.separator > targetSize &&
+            currentSize >= limits.min) {
             
             // Save current chunk
-            chunks.push({
-                chunkNumber: chunkNumber++,
-                content: currentChunk.trim(),
-                charCount: currentChunk.trim().length,
-                sentenceCount: countSentences(currentChunk)
-            });
+            chunks.push(buildChunk(chunkNumber++, currentChunk, chunkStart, chunkEnd));
             
             currentChunk = '';
+            currentSize = 0;
         }
         
         // Add sentence to current chunk
         if (currentChunk.length > 0) {
             currentChunk += ' ';
+            currentSize += limits.separator;
+        } else {
+            chunkStart = spans[i].start;
         }
         currentChunk += sentence;
+        currentSize += sentenceSize;
+        chunkEnd = spans[i].end;
         
         // Check if chunk has reached maximum size (force split)
-        if (currentChunk.length >= MAX_CHUNK_SIZE) {
-            chunks.push({
-                chunkNumber: chunkNumber++,
-                content: currentChunk.trim(),
-                charCount: currentChunk.trim().length,
-                sentenceCount: countSentences(currentChunk)
-            });
+        if (currentSize >= limits.max) {
+            chunks.push(buildChunk(chunkNumber++, currentChunk, chunkStart, chunkEnd));
             
             currentChunk = '';
+            currentSize = 0;
         }
     }
     
     // Add final chunk if there's remaining text
     if (currentChunk.trim().length > 0) {
-        chunks.push({
-            chunkNumber: chunkNumber++,
-            content: currentChunk.trim(),
-            charCount: currentChunk.trim().length,
-            sentenceCount: countSentences(currentChunk)
-        });
+        chunks.push(buildChunk(chunkNumber++, currentChunk, chunkStart, chunkEnd));
     }
     
     return chunks;
@@ -163,71 +202,85 @@ function createChunks(text, targetSize = DEFAULT_CHUNK_SIZE) {
 
 /**
  * Create chunks with overlap for context continuity
- * Used when building chat packages to maintain context
+ * Each chunk starts with the last sentences (up to overlapSize characters,
+ * at least one sentence) of the chunk before it, so a sentence at a boundary
+ * keeps its context. Chunks are exact slices of the text and record the
+ * sentences they span and the characters they repeat (overlapChars), so the
+ * repeated text can be dropped again when adjacent chunks are packaged
+ * together (see search.js).
+ * Every chunk starts at least one sentence after the one before it, so a
+ * sentence longer than the target cannot stall the loop.
  * 
  * @param {string} text - Document text
- * @param {number} targetSize - Target chunk size
+ * @param {number} targetSize - Target chunk size in the unit (default: 2000 characters or 500 tokens)
  * @param {number} overlapSize - Overlap size in characters
- * @returns {Array<Object>} Array of chunk objects with overlap
+ * @param {string} unit - 'characters' (default) or 'tokens'
+ * @param {Object} bounds - Optional {minSize, maxSize} in the unit
+ * @returns {Array<Object>} Array of chunk objects with sentenceStart, sentenceEnd and overlapChars
  */
-function createChunksWithOverlap(text, targetSize = DEFAULT_CHUNK_SIZE, overlapSize = OVERLAP_SIZE) {
+function createChunksWithOverlap(text, targetSize = null, overlapSize = OVERLAP_SIZE, unit = 'characters', bounds = {}) {
     const sentences = splitIntoSentences(text);
+    const spans = locateSentences(text, sentences);
+    const limits = getSizeLimits(unit, bounds);
     const chunks = [];
     
+    targetSize = targetSize || limits.target;
+    
     let chunkNumber = 0;
     let startSentenceIndex = 0;
+    let previousEnd = null;
     
     while (startSentenceIndex < sentences.length) {
-        let currentChunk = '';
+        let currentSize = 0;
         let sentenceCount = 0;
         let endSentenceIndex = startSentenceIndex;
         
         // Build chunk up to target size
         for (let i = startSentenceIndex; i < sentences.length; i++) {
-            const sentence = sentences[i];
+            const sentenceSize = limits.measure(sentences[i]);
             
-            if (currentChunk.length > 0 && 
-                currentChunk.length + sentence.length + 1 > targetSize) {
+            if (sentenceCount > 0 && 
+                currentSize + sentenceSize + limits.separator > targetSize) {
                 break;
             }
             
-            if (currentChunk.length > 0) {
-                currentChunk += ' ';
-            }
-            currentChunk += sentence;
+            currentSize += sentenceSize + (sentenceCount > 0 ? limits.separator : 0);
             sentenceCount++;
             endSentenceIndex = i;
         }
         
         // Save chunk
+        const start = spans[startSentenceIndex].start;
+        const end = spans[endSentenceIndex].end;
         chunks.push({
-            chunkNumber: chunkNumber++,
-            content: currentChunk.trim(),
-            charCount: currentChunk.trim().length,
-            sentenceCount: sentenceCount,
-            startSentence: startSentenceIndex,
-            endSentence: endSentenceIndex
+            ...buildChunk(chunkNumber++, text.slice(start, end), start, end),
+            sentenceStart: startSentenceIndex,
+            sentenceEnd: endSentenceIndex,
+            overlapChars: previousEnd === null ? 0 : Math.max(0, previousEnd - start)
         });
+        previousEnd = end;
+        
+        if (endSentenceIndex === sentences.length - 1) {
+            break;
+        }
         
         // Calculate overlap: move start index back by sentences that fit in overlap size
-        let overlapText = '';
+        let overlapLength = 0;
         let overlapSentenceCount = 0;
         
         for (let i = endSentenceIndex; i >= startSentenceIndex; i--) {
-            if (overlapText.length + sentences[i].length > overlapSize) {
+            if (overlapLength + sentences[i].length > overlapSize) {
                 break;
             }
-            overlapText = sentences[i] + ' ' + overlapText;
+            overlapLength += sentences[i].length + 1;
             overlapSentenceCount++;
         }
         
-        // Move to next chunk start (with overlap)
-        startSentenceIndex = endSentenceIndex + 1 - Math.max(1, overlapSentenceCount);
-        
-        // Prevent infinite loop
-        if (startSentenceIndex <= endSentenceIndex - sentenceCount) {
-            startSentenceIndex = endSentenceIndex + 1;
-        }
+        // Move to next chunk start (with overlap), always past the previous start
+        startSentenceIndex = Math.max(
+            startSentenceIndex + 1,
+            endSentenceIndex + 1 - Math.max(1, overlapSentenceCount)
+        );
     }
     
     return chunks;
@@ -260,6 +313,498 @@ function getContextChunks(allChunks, chunkNumber, beforeCount = 2, afterCount =
     return contextChunks;
 }
 
+// ============================================================================
+// ROW-AWARE CHUNKING (SPREADSHEETS)
+// ============================================================================
+
+/**
+ * Create chunks from spreadsheet text without ever splitting a row
+ * Each chunk starts with the sheet name and header row so it reads on its own;
+ * its offsets cover only the data rows it holds.
+ * 
+ * The sheet text layout comes from buildSheetBlocks in document-processor.js:
+ * "Sheet: name", the header line, then one line per data row.
+ * 
+ * @param {string} text - Document text
+ * @param {Array<Object>} sheets - Sheet spans ({sheetName, headerRow, rowNumbers, start, end})
+ * @param {number} targetSize - Target chunk size in characters
+ * @returns {Array<Object>} Array of chunk objects with sheetName, rowStart and rowEnd
+ */
+function createRowChunks(text, sheets, targetSize = DEFAULT_CHUNK_SIZE) {
+    const chunks = [];
+    let chunkNumber = 0;
+    
+    sheets.forEach(sheet => {
+        const lines = text.slice(sheet.start, sheet.end).split('\n');
+        const [titleLine, headerLine, ...rowLines] = lines;
+        const prefix = `${titleLine}\n${headerLine}\n`;
+        
+        // A sheet with only a header row still gets one chunk
+        if (rowLines.length === 0) {
+            const chunk = buildChunk(chunkNumber++, lines.join('\n'), sheet.start, sheet.end);
+            chunk.sheetName = sheet.sheetName;
+            chunks.push(chunk);
+            return;
+        }
+        
+        let offset = sheet.start + titleLine.length + headerLine.length + 2;
+        let group = [];
+        
+        const flush = () => {
+            const first = group[0];
+            const last = group[group.length - 1];
+            const content = prefix + group.map(row => row.line).join('\n');
+            
+            const chunk = buildChunk(chunkNumber++, content, first.start, last.end);
+            chunk.sheetName = sheet.sheetName;
+            chunk.rowStart = first.rowNumber;
+            chunk.rowEnd = last.rowNumber;
+            chunks.push(chunk);
+            
+            group = [];
+        };
+        
+        let groupSize = prefix.length;
+        
+        rowLines.forEach((line, i) => {
+            if (group.length > 0 && groupSize + line.length + 1 > targetSize) {
+                flush();
+                groupSize = prefix.length;
+            }
+            
+            group.push({
+                line: line,
+                rowNumber: sheet.rowNumbers ? sheet.rowNumbers[i] : null,
+                start: offset,
+                end: offset + line.length
+            });
+            groupSize += line.length + 1;
+            offset += line.length + 1;
+        });
+        
+        flush();
+    });
+    
+    return chunks;
+}
+
+// ============================================================================
+// SPAN-AWARE CHUNKING (TRANSCRIPTS AND SLIDES)
+// ============================================================================
+
+/**
+ * Create chunks from labeled spans without splitting a span between chunks
+ * Spans are grouped up to the target size; a span too long for one chunk is
+ * split on sentences, and every piece starts with the span's label
+ * ("[00:14:32] Witness:", "Slide 3: Results") so it still reads on its own.
+ * 
+ * Each span's text must open with its label followed by one character
+ * (see buildTranscriptBlocks and buildSlideBlocks in document-processor.js).
+ * 
+ * @param {string} text - Document text
+ * @param {Array<Object>} spans - Spans ({label, start, end, ...})
+ * @param {Function} annotate - Called with (chunk, spans) to record the spans a chunk holds
+ * @param {number} targetSize - Target chunk size in characters
+ * @returns {Array<Object>} Array of chunk objects
+ */
+function createSpanChunks(text, spans, annotate, targetSize = DEFAULT_CHUNK_SIZE) {
+    const chunks = [];
+    let chunkNumber = 0;
+    let group = [];
+    let groupSize = 0;
+    
+    const flush = () => {
+        if (group.length === 0) return;
+        
+        const first = group[0];
+        const last = group[group.length - 1];
+        const chunk = buildChunk(chunkNumber++, text.slice(first.start, last.end), first.start, last.end);
+        chunks.push(annotate(chunk, group));
+        
+        group = [];
+        groupSize = 0;
+    };
+    
+    spans.forEach(span => {
+        const length = span.end - span.start;
+        
+        if (length > targetSize) {
+            flush();
+            
+            const labelSize = span.label ? span.label.length + 1 : 0;
+            const bodyStart = span.start + labelSize;
+            const pieces = createChunks(text.slice(bodyStart, span.end), targetSize - labelSize);
+            
+            pieces.forEach((piece, i) => {
+                const content = span.label ? `${span.label} ${piece.content}` : piece.content;
+                const start = i === 0 ? span.start : bodyStart + piece.startOffset;
+                const chunk = buildChunk(chunkNumber++, content, start, bodyStart + piece.endOffset);
+                chunks.push(annotate(chunk, [span]));
+            });
+            return;
+        }
+        
+        if (group.length > 0 && groupSize + length + 2 > targetSize) {
+            flush();
+        }
+        
+        group.push(span);
+        groupSize += length + 2;
+    });
+    
+    flush();
+    
+    return chunks;
+}
+
+/**
+ * Record the speakers and time range of the turns a chunk holds
+ * 
+ * @param {Object} chunk - Chunk object (annotated in place)
+ * @param {Array<Object>} turns - Turns in the chunk, in order
+ * @returns {Object} The chunk
+ */
+function annotateTurnChunk(chunk, turns) {
+    const speakers = [...new Set(turns.map(turn => turn.speaker).filter(Boolean))];
+    const timed = turns.filter(turn => turn.startTime !== null && turn.startTime !== undefined);
+    
+    if (speakers.length > 0) {
+        chunk.speakers = speakers;
+    }
+    
+    if (timed.length > 0) {
+        const last = timed[timed.length - 1];
+        chunk.timeStart = timed[0].startTime;
+        chunk.timeEnd = last.endTime ?? last.startTime;
+    }
+    
+    return chunk;
+}
+
+/**
+ * Create chunks from transcript text on speaker turn boundaries
+ * 
+ * @param {string} text - Document text
+ * @param {Array<Object>} turns - Turn spans ({label, speaker, startTime, endTime, start, end})
+ * @param {number} targetSize - Target chunk size in characters
+ * @returns {Array<Object>} Array of chunk objects with speakers, timeStart and timeEnd
+ */
+function createTurnChunks(text, turns, targetSize = DEFAULT_CHUNK_SIZE) {
+    return createSpanChunks(text, turns, annotateTurnChunk, targetSize);
+}
+
+/**
+ * Create chunks from presentation text on slide boundaries
+ * A slide's speaker notes follow its text, so they stay in the same chunk
+ * 
+ * @param {string} text - Document text
+ * @param {Array<Object>} slides - Slide spans ({label, slideNumber, title, start, end})
+ * @param {number} targetSize - Target chunk size in characters
+ * @returns {Array<Object>} Array of chunk objects with slideStart and slideEnd
+ */
+function createSlideChunks(text, slides, targetSize = DEFAULT_CHUNK_SIZE) {
+    return createSpanChunks(text, slides, (chunk, group) => {
+        chunk.slideStart = group[0].slideNumber;
+        chunk.slideEnd = group[group.length - 1].slideNumber;
+        return chunk;
+    }, targetSize);
+}
+
+// ============================================================================
+// CLAUSE-AWARE CHUNKING (CONTRACTS)
+// ============================================================================
+
+// Clause openings, matched at the start of a line
+const ARTICLE_PATTERN = /^(?:ARTICLE|Article)\s+([IVXLC]+|\d+)\b/;
+const SECTION_PATTERN = /^(?:SECTION|Section|Sec\.)\s+(\d+(?:\.\d+)*)((?:\([A-Za-z0-9]{1,4}\))*)/;
+const PARAGRAPH_SIGN_PATTERN = /^§§?\s*(\d+(?:\.\d+)*[a-z]?)((?:\([A-Za-z0-9]{1,4}\))*)/;
+const NUMBERED_CLAUSE_PATTERN = /^(\d{1,3}(?:\.\d{1,3})+|\d{1,3}\.)\.?(?:\s+(?=[A-Z("\u201C])|$)/;
+const SUBPARAGRAPH_PATTERN = /^(?:\(([A-Za-z]{1,2}|[ivxlcIVXLC]{1,6}|\d{1,2})\)|([a-z])\))\s+/;
+const CAPS_HEADING_PATTERN = /^[A-Z][A-Z0-9 ,;:&'\u2019()-]{2,79}$/;
+
+// Roman numerals i-xx, told apart from letters by the paragraph before them
+const ROMAN_TOKEN_PATTERN = /^(?:i{1,3}|iv|vi{0,3}|ix|xi{0,3}|xiv|xvi{0,3}|xix|xx)$/i;
+
+/**
+ * Kind of a sub-paragraph token: "a" (letter), "i" (roman), "1" (number),
+ * upper case kept apart. "(i)" right after "(h)" is a letter, not a numeral.
+ * 
+ * @param {string} token - Token without parentheses
+ * @param {Array<Object>} stack - Open sub-paragraphs ({kind, token})
+ * @returns {string} Kind
+ */
+function classifySubparagraph(token, stack) {
+    if (/^\d+$/.test(token)) return '1';
+    
+    const upper = token === token.toUpperCase();
+    const letterKind = upper ? 'A' : 'a';
+    const romanKind = upper ? 'I' : 'i';
+    if (!ROMAN_TOKEN_PATTERN.test(token)) return letterKind;
+    if (token.length > 1) return romanKind;
+    
+    const letter = stack.find(entry => entry.kind === letterKind);
+    if (letter && token.charCodeAt(0) === letter.token.charCodeAt(0) + 1) return letterKind;
+    
+    // A single "v" or "x" only continues an open roman list
+    return stack.some(entry => entry.kind === romanKind) || /^i$/i.test(token) ? romanKind : letterKind;
+}
+
+/**
+ * Open a sub-paragraph: a kind already open closes everything below it
+ */
+function pushSubparagraph(stack, token) {
+    const kind = classifySubparagraph(token, stack);
+    const depth = stack.findIndex(entry => entry.kind === kind);
+    if (depth !== -1) {
+        stack.length = depth;
+    }
+    stack.push({ kind, token });
+}
+
+/**
+ * Read "(b)(1)" into the sub-paragraph stack
+ */
+function pushSubparagraphs(stack, tokens) {
+    (tokens.match(/\(([A-Za-z0-9]+)\)/g) || []).forEach(token => {
+        pushSubparagraph(stack, token.slice(1, -1));
+    });
+}
+
+/**
+ * Find the clause boundaries of a contract
+ * Recognizes "ARTICLE IV", "Section 9.3", "§ 12(b)", numbered clauses
+ * ("9.", "9.3", "9.3.1"), lettered and numbered sub-paragraphs ("(a)", "(iv)",
+ * "(1)", "a)") and all-caps heading lines, each at the start of a line.
+ * Sub-paragraphs take the identifier of their clause: "9.3(a)(ii)". An
+ * all-caps heading right after an Article or Section line ("ARTICLE II" /
+ * "SERVICES") belongs to that clause rather than starting a boundary of its own.
+ * 
+ * @param {string} text - Document text
+ * @returns {Array<Object>} Boundaries ({start, level, clauseId}); headings have no clauseId
+ */
+function findClauses(text) {
+    const clauses = [];
+    let parent = { clauseId: null, level: 0 };
+    let stack = [];
+    let offset = 0;
+    let afterOpeningLine = false;
+    
+    const openClause = (start, clauseId, level, tokens) => {
+        parent = { clauseId, level };
+        stack = [];
+        pushSubparagraphs(stack, tokens || '');
+        clauses.push({ start, level: level + stack.length, clauseId: clauseId + (tokens || '') });
+    };
+    
+    text.split('\n').forEach(rawLine => {
+        const start = offset + rawLine.length - rawLine.trimStart().length;
+        const line = rawLine.trim();
+        offset += rawLine.length + 1;
+        if (!line) return;
+        
+        const followsOpeningLine = afterOpeningLine;
+        afterOpeningLine = false;
+        
+        let match;
+        if ((match = line.match(ARTICLE_PATTERN))) {
+            openClause(start, `Article ${match[1]}`, 0);
+            afterOpeningLine = true;
+        } else if ((match = line.match(SECTION_PATTERN))) {
+            openClause(start, `Section ${match[1]}`, match[1].split('.').length, match[2]);
+            afterOpeningLine = true;
+        } else if (followsOpeningLine && CAPS_HEADING_PATTERN.test(line)) {
+            // Heading of the Article or Section above
+        } else if ((match = line.match(PARAGRAPH_SIGN_PATTERN))) {
+            openClause(start, `§ ${match[1]}`, match[1].split('.').length, match[2]);
+        } else if ((match = line.match(NUMBERED_CLAUSE_PATTERN))) {
+            const number = match[1].replace(/\.$/, '');
+            openClause(start, number, number.split('.').length);
+        } else if ((match = line.match(SUBPARAGRAPH_PATTERN))) {
+            pushSubparagraph(stack, match[1] || match[2]);
+            const path = stack.map(entry => `(${entry.token})`).join('');
+            clauses.push({
+                start,
+                level: parent.level + stack.length,
+                clauseId: (parent.clauseId || '') + path
+            });
+        } else if (CAPS_HEADING_PATTERN.test(line) && /[A-Z]{3}/.test(line)) {
+            clauses.push({ start, level: 0, clauseId: null });
+        }
+    });
+    
+    return clauses;
+}
+
+/**
+ * Check whether a clause segment holds only heading lines
+ * ("ARTICLE II", "SERVICES"), with no clause text of its own
+ * 
+ * @param {string} text - Segment text
+ * @returns {boolean} True for a bare heading
+ */
+function isHeadingOnly(text) {
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    
+    return lines.length > 0 && lines.every(line =>
+        CAPS_HEADING_PATTERN.test(line) || (ARTICLE_PATTERN.test(line) && !/[.;:]$/.test(line))
+    );
+}
+
+/**
+ * Create chunks from contract text on clause boundaries
+ * Clauses are grouped up to the target size. When a group is full it closes
+ * at its highest-level boundary that still leaves the minimum size before it,
+ * so "9.3" keeps its sub-paragraphs and the chunk after it starts at 9.4.
+ * A chunk never ends with a bare heading ("ARTICLE II" / "SERVICES"): the
+ * heading opens the next chunk instead. A clause too long for one chunk is
+ * split on sentences.
+ * 
+ * @param {string} text - Document text
+ * @param {Array<Object>} sections - Document headings ({start, ...}) to break on as well, or null
+ * @param {number} targetSize - Target chunk size in the unit (default: 2000 characters or 500 tokens)
+ * @param {string} unit - 'characters' (default) or 'tokens'
+ * @param {Object} bounds - Optional {minSize, maxSize} in the unit
+ * @returns {Array<Object>} Array of chunk objects with clauseStart and clauseEnd
+ */
+function createClauseChunks(text, sections = null, targetSize = null, unit = 'characters', bounds = {}) {
+    const limits = getSizeLimits(unit, bounds);
+    targetSize = targetSize || limits.target;
+    
+    const boundaries = findClauses(text);
+    (sections || []).forEach(section => {
+        if (!boundaries.some(boundary => boundary.start === section.start)) {
+            boundaries.push({ start: section.start, level: 0, clauseId: null });
+        }
+    });
+    boundaries.sort((a, b) => a.start - b.start);
+    
+    // Text before the first clause (title, parties, recitals) is a segment of its own
+    if (boundaries.length === 0 || boundaries[0].start > 0) {
+        boundaries.unshift({ start: 0, level: 0, clauseId: null });
+    }
+    
+    const segments = boundaries.map((boundary, i) => {
+        const end = i + 1 < boundaries.length ? boundaries[i + 1].start : text.length;
+        const segmentText = text.slice(boundary.start, end);
+        return {
+            ...boundary,
+            end,
+            size: limits.measure(segmentText),
+            headingOnly: isHeadingOnly(segmentText)
+        };
+    }).filter(segment => text.slice(segment.start, segment.end).trim().length > 0);
+    
+    const chunks = [];
+    let chunkNumber = 0;
+    let group = [];
+    let groupSize = 0;
+    
+    const annotate = (chunk, clauses) => {
+        const ids = clauses.map(clause => clause.clauseId).filter(Boolean);
+        if (ids.length > 0) {
+            chunk.clauseStart = ids[0];
+            chunk.clauseEnd = ids[ids.length - 1];
+        }
+        return chunk;
+    };
+    
+    // Emit the group; trailing bare headings stay behind to open the next chunk
+    const flush = (carryHeadings = true) => {
+        const carried = [];
+        while (carryHeadings && group.length > 0 && group[group.length - 1].headingOnly) {
+            carried.unshift(group.pop());
+        }
+        
+        if (group.length > 0) {
+            const first = group[0];
+            const last = group[group.length - 1];
+            const chunk = buildChunk(chunkNumber++, text.slice(first.start, last.end), first.start, last.end);
+            chunks.push(annotate(chunk, group));
+        }
+        
+        group = carried;
+        groupSize = carried.reduce((sum, clause) => sum + clause.size, 0);
+    };
+    
+    segments.forEach(segment => {
+        if (segment.size > targetSize) {
+            flush();
+            
+            // Carried headings lead into the first piece
+            const start = group.length > 0 ? group[0].start : segment.start;
+            const headings = group;
+            group = [];
+            groupSize = 0;
+            
+            createChunks(text.slice(start, segment.end), targetSize, unit, bounds).forEach((piece, i) => {
+                const chunk = buildChunk(chunkNumber++, piece.content,
+                    start + piece.startOffset, start + piece.endOffset);
+                chunks.push(annotate(chunk, i === 0 ? [...headings, segment] : [segment]));
+            });
+            return;
+        }
+        
+        if (group.length > 0 && groupSize + segment.size > targetSize) {
+            // Latest of the highest-level boundaries, the next clause included
+            let cut = group.length;
+            let cutLevel = segment.level;
+            let before = groupSize;
+            for (let i = group.length - 1; i > 0; i--) {
+                before -= group[i].size;
+                if (group[i].level < cutLevel && before >= limits.min) {
+                    cut = i;
+                    cutLevel = group[i].level;
+                }
+            }
+            
+            const rest = group.slice(cut);
+            group = group.slice(0, cut);
+            flush();
+            
+            group = group.concat(rest);
+            groupSize = group.reduce((sum, clause) => sum + clause.size, 0);
+            if (groupSize + segment.size > targetSize) {
+                flush();
+            }
+        }
+        
+        group.push(segment);
+        groupSize += segment.size;
+    });
+    
+    flush(false);
+    
+    return chunks;
+}
+
+// ============================================================================
+// CHUNKING PROFILES
+// ============================================================================
+
+/**
+ * Create chunks from plain text with a chunking profile
+ * (see InvantiaConfig.CHUNKING_PROFILES)
+ * 
+ * @param {string} text - Document text
+ * @param {Object} profile - {unit, targetSize, minSize, maxSize, overlap, strategy}; defaults when omitted
+ * @param {Array<Object>} sections - Document headings ({start, ...}), used by the clause strategy
+ * @returns {Array<Object>} Array of chunk objects
+ */
+function createProfileChunks(text, profile = {}, sections = null) {
+    const unit = profile.unit || 'characters';
+    const bounds = { minSize: profile.minSize, maxSize: profile.maxSize };
+    
+    if (profile.strategy === 'clauses') {
+        return createClauseChunks(text, sections, profile.targetSize, unit, bounds);
+    }
+    
+    if (profile.overlap > 0) {
+        return createChunksWithOverlap(text, profile.targetSize, profile.overlap, unit, bounds);
+    }
+    
+    return createChunks(text, profile.targetSize, unit, bounds);
+}
+
 // ============================================================================
 // CHUNK ANALYSIS
 // ============================================================================
@@ -404,10 +949,17 @@ window.InvantiaChunker = {
     // Main chunking functions
     createChunks,
     createChunksWithOverlap,
+    createRowChunks,
+    createTurnChunks,
+    createSlideChunks,
+    createClauseChunks,
+    createProfileChunks,
     getContextChunks,
     
     // Sentence processing
     splitIntoSentences,
+    locateSentences,
+    findClauses,
     
     // Analysis and validation
     countSentences,
@@ -422,5 +974,8 @@ window.InvantiaChunker = {
     DEFAULT_CHUNK_SIZE,
     MIN_CHUNK_SIZE,
     MAX_CHUNK_SIZE,
-    OVERLAP_SIZE
+    OVERLAP_SIZE,
+    DEFAULT_CHUNK_TOKENS,
+    MIN_CHUNK_TOKENS,
+    MAX_CHUNK_TOKENS
 };
@@ -0,0 +1,57 @@
+// ~/fastapi_app/static/desktop/chunker.test.js
+// Chunker regression cases - inputs that once broke overlapping chunks
+//
+// Run with node after changing the chunking loop:
+//   node chunker.test.js
+// Exits non-zero when a case fails. Uses the default lexicons (no config.js).
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+global.window = global;
+['sentence-splitter.js', 'chunker.js'].forEach(file => {
+  vm.runInThisContext(fs.readFileSync(path.join(__dirname, file), 'utf8'));
+});
+
+// Sentence lengths [28, 2500, 10]: the short sentence fits in the overlap
+// and the long one is over the target, so the next start used to repeat
+const REGRESSION_CASES = [
+  {
+    name: 'short sentence before one longer than the target',
+    text: 'A short first sentence here. ' + 'Word ' + 'word '.repeat(498) + 'ends. Tail ends.',
+    targetSize: 2000,
+    overlapSize: 200
+  }
+];
+
+const failures = REGRESSION_CASES.filter(({ name, text, targetSize, overlapSize }) => {
+  let chunks;
+  try {
+    // A stalled loop never returns: stop it rather than hang the run
+    chunks = vm.runInThisContext(
+      `window.InvantiaChunker.createChunksWithOverlap(${JSON.stringify(text)}, ${targetSize}, ${overlapSize})`,
+      { timeout: 2000 }
+    );
+  } catch (error) {
+    console.error(`FAIL: ${name}: ${error.message}`);
+    return true;
+  }
+
+  // Dropping the repeated characters of each chunk gives back the text
+  const rebuilt = chunks.map((chunk, i) => {
+    if (i === 0) return chunk.content;
+    return chunk.overlapChars > 0 ? chunk.content.slice(chunk.overlapChars) : ` ${chunk.content}`;
+  }).join('');
+
+  if (rebuilt === text) return false;
+
+  console.error(`FAIL: ${name}`);
+  console.error(`  chunks: ${JSON.stringify(chunks.map(chunk => [chunk.sentenceStart, chunk.sentenceEnd, chunk.overlapChars]))}`);
+  return true;
+});
+
+console.log(`Chunker cases: ${REGRESSION_CASES.length - failures.length}/${REGRESSION_CASES.length} passed`);
+process.exitCode = failures.length > 0 ? 1 : 0;
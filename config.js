@@ -16,6 +16,120 @@
      */
     CHUNK_SIZE: 2000,  // characters
     
+    /**
+     * Characters repeated from the end of one chunk at the start of the next
+     * when documents are stored with overlapping chunks
+     */
+    CHUNK_OVERLAP: 200,
+    
+    /**
+     * Named chunking profiles, assigned per document or collection
+     * - unit: 'characters' or 'tokens' (estimated) for targetSize, minSize and maxSize
+     * - overlap: characters repeated from the end of the previous chunk (0 for none)
+     * - strategy: 'sentences', or 'clauses' for numbered clauses and headings
+     * Spreadsheets, transcripts and presentations keep their row, turn and
+     * slide boundaries whatever the strategy.
+     */
+    CHUNKING_PROFILES: {
+      standard: {
+        id: 'standard',
+        name: 'Standard',
+        description: '~2,000 characters on sentence boundaries',
+        unit: 'characters',
+        targetSize: 2000,
+        minSize: 500,
+        maxSize: 3000,
+        overlap: 0,
+        strategy: 'sentences'
+      },
+      short: {
+        id: 'short',
+        name: 'Short documents',
+        description: '~800 characters, for memos, letters and emails',
+        unit: 'characters',
+        targetSize: 800,
+        minSize: 200,
+        maxSize: 1200,
+        overlap: 0,
+        strategy: 'sentences'
+      },
+      contract: {
+        id: 'contract',
+        name: 'Contracts',
+        description: '~2,000 characters on numbered clauses and headings',
+        unit: 'characters',
+        targetSize: 2000,
+        minSize: 500,
+        maxSize: 3000,
+        overlap: 0,
+        strategy: 'clauses'
+      },
+      longAgreement: {
+        id: 'longAgreement',
+        name: 'Long agreements',
+        description: '~5,000 characters on clauses, for credit agreements and other long contracts',
+        unit: 'characters',
+        targetSize: 5000,
+        minSize: 1500,
+        maxSize: 7500,
+        overlap: 0,
+        strategy: 'clauses'
+      },
+      tokens: {
+        id: 'tokens',
+        name: 'Token-sized',
+        description: '~500 estimated tokens on sentence boundaries',
+        unit: 'tokens',
+        targetSize: 500,
+        minSize: 125,
+        maxSize: 750,
+        overlap: 0,
+        strategy: 'sentences'
+      }
+    },
+    
+    DEFAULT_CHUNKING_PROFILE: 'standard',
+    
+    /**
+     * Abbreviation lexicons the sentence splitter knows (see sentence-splitter.js):
+     * 'general', 'legal', 'accounting' and 'citations'
+     */
+    SENTENCE_LEXICONS: ['general', 'legal', 'accounting', 'citations'],
+    
+    /**
+     * Extra abbreviations, written with their periods ("Sched.", "Mgmt.")
+     * Capitalized ones match as written; lowercase ones match in any case
+     * - titles: always followed by more of the sentence (Mr., approx.)
+     * - numbered: no break before a number or marker (No. 5, Sec. 4.2)
+     * - terminal: may end a sentence (Inc., etc.)
+     */
+    CUSTOM_ABBREVIATIONS: {
+      titles: [],
+      numbered: [],
+      terminal: []
+    },
+    
+    // =====================================================================
+    // TEXT NORMALIZATION
+    // =====================================================================
+    
+    /**
+     * Applied to extracted text before chunking, so matching does not trip over
+     * how a PDF or word processor encoded it; chat packages and version
+     * comparisons show the raw text
+     * - unicodeForm: 'NFKC' folds ligatures, full-width forms and no-break spaces; null to skip
+     * - dehyphenate: remove soft hyphens and rejoin words split across lines ("indemni-\nfication")
+     * - foldQuotes: curly quotes and primes become straight quotes
+     * - foldWhitespace: tabs and Unicode spaces become one space; zero-width characters are dropped
+     */
+    TEXT_NORMALIZATION: {
+      enabled: true,
+      unicodeForm: 'NFKC',
+      dehyphenate: true,
+      foldQuotes: true,
+      foldWhitespace: true
+    },
+    
     // =====================================================================
     // SUPER CHUNK SIZING (Paste Limits)
     // =====================================================================
@@ -55,6 +169,8 @@
         hint: 'Works with all free AI accounts',
         superChunkSize: 30000,
         packageSize: 75000,
+        superChunkTokens: 7500,
+        packageTokens: 18750,
         maxSuperChunks: 3
       },
       large: {
@@ -64,6 +180,8 @@
         hint: 'For paid AI subscriptions (ChatGPT Plus, Claude Pro, etc.)',
         superChunkSize: 100000,
         packageSize: 150000,
+        superChunkTokens: 25000,
+        packageTokens: 37500,
         maxSuperChunks: 3
       }
     },
@@ -96,6 +214,13 @@
       return this.TIERS[tierId] || this.TIERS.standard;
     },
     
+    /**
+     * Get chunking profile by ID (the standard profile for unknown IDs)
+     */
+    getChunkingProfile: function(profileId) {
+      return this.CHUNKING_PROFILES[profileId] || this.CHUNKING_PROFILES[this.DEFAULT_CHUNKING_PROFILE];
+    },
+    
     /**
      * Map legacy LLM ID to tier
      */
@@ -128,16 +253,29 @@
       return tier.packageSize;
     },
     
+    /**
+     * Get super chunk and package limits for tier in a budget unit
+     */
+    getSizeLimits: function(tierId, unit) {
+      const tier = this.getTier(tierId);
+      return unit === 'tokens'
+        ? { superChunkSize: tier.superChunkTokens, packageSize: tier.packageTokens }
+        : { superChunkSize: tier.superChunkSize, packageSize: tier.packageSize };
+    },
+    
     /**
      * Validate if content fits within tier limits
+     * contentSize is in characters, or in estimated tokens when unit is 'tokens'
      */
-    validatePackageSize: function(contentSize, tierId) {
+    validatePackageSize: function(contentSize, tierId, unit) {
       const tier = this.getTier(tierId);
+      const limits = this.getSizeLimits(tierId, unit);
       return {
-        fitsInPackage: contentSize <= tier.packageSize,
-        superChunksNeeded: Math.ceil(contentSize / tier.superChunkSize),
-        exceedsLimit: contentSize > tier.packageSize,
-        tierName: tier.name
+        fitsInPackage: contentSize <= limits.packageSize,
+        superChunksNeeded: Math.ceil(contentSize / limits.superChunkSize),
+        exceedsLimit: contentSize > limits.packageSize,
+        tierName: tier.name,
+        unit: unit === 'tokens' ? 'tokens' : 'characters'
       };
     }
   };
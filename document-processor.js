@@ -1,13 +1,21 @@
 // ~/fastapi_app/static/desktop/document-processor.js
 //
 // Document processing for Invantia Desktop
-// Parses PDFs (pdf.js), DOCX (mammoth.js), and TXT files
+// Parses PDFs (pdf.js), DOCX (mammoth.js), spreadsheets (XLSX, CSV), presentations (PPTX),
+// OpenDocument text (ODT), email (EML, MBOX), Markdown, HTML, transcripts (SRT, VTT,
+// speaker-labeled TXT) and TXT files
+// Unpacks ZIP archives (data rooms) and processes the files inside
 // Extracts plain text for chunking and indexing
 // Phase 2: Builds semantic vectors for intelligent search
 //
 // External Dependencies:
 // - pdf.js (Mozilla PDF parsing library)
 // - mammoth.js (DOCX to HTML/text converter)
+// - markup-parser.js (HTML/XML tree for heading-aware DOCX, HTML, ODT, XLSX and PPTX extraction)
+// - markdown-parser.js (Markdown to HTML)
+// - zip-reader.js (unpacks XLSX, PPTX and ODT packages and ZIP archives)
+// - mail-parser.js (MIME messages and mbox archives)
+// - transcript-parser.js (subtitle cues and speaker turns)
 
 // ============================================================================
 // CONFIGURATION
@@ -16,9 +24,50 @@
 const SUPPORTED_FILE_TYPES = {
     'application/pdf': 'pdf',
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+    'application/vnd.oasis.opendocument.text': 'odt',
+    'text/csv': 'csv',
+    'message/rfc822': 'eml',
+    'application/mbox': 'mbox',
+    'application/zip': 'zip',
+    'application/x-zip-compressed': 'zip',
+    'text/markdown': 'md',
+    'text/html': 'html',
+    'application/x-subrip': 'srt',
+    'text/vtt': 'vtt',
     'text/plain': 'txt'
 };
 
+// PDF text reconstruction mode
+// - 'layout': rebuild lines, paragraphs, columns and table rows from item positions
+// - 'simple': join text items with spaces (original behaviour)
+const PDF_TEXT_MODE = 'layout';
+
+// Layout reconstruction thresholds (distances are in multiples of the font size)
+const PDF_LAYOUT_CONFIG = {
+    lineTolerance: 0.4,     // Baseline difference still treated as the same line
+    wordGap: 0.15,          // Horizontal gap that implies a space between items
+    cellGap: 1.5,           // Horizontal gap that separates table cells or columns
+    paragraphGap: 1.6,      // Line spacing (relative to the median) that starts a new paragraph
+    minColumnGutter: 1.0,   // Minimum empty corridor between two columns
+    maxColumnDepth: 2       // How many times a region may be split into columns
+};
+
+// Scanned page detection: a page with less extractable text than this has no usable
+// text layer (a scan, or a scan with only a Bates stamp or page number on top)
+const TEXT_LAYER_CONFIG = {
+    minCharsPerPage: 40     // Non-whitespace characters a page needs to count as text
+};
+
+// Repeated header/footer removal (letterheads, "Page 3 of 47", legends)
+const BOILERPLATE_CONFIG = {
+    enabled: true,
+    edgeLines: 3,           // Lines at the top and bottom of each page to examine
+    minPageRatio: 0.5,      // Share of pages a line must repeat on to be removed
+    minPages: 3             // Shorter documents are left untouched
+};
+
 // ============================================================================
 // FILE VALIDATION
 // ============================================================================
@@ -33,18 +82,42 @@ function isFileTypeSupported(file) {
     return Object.keys(SUPPORTED_FILE_TYPES).includes(file.type) || 
            file.name.endsWith('.txt') ||
            file.name.endsWith('.pdf') ||
-           file.name.endsWith('.docx');
+           file.name.endsWith('.docx') ||
+           file.name.endsWith('.xlsx') ||
+           file.name.endsWith('.pptx') ||
+           file.name.endsWith('.odt') ||
+           file.name.endsWith('.csv') ||
+           file.name.endsWith('.eml') ||
+           file.name.endsWith('.mbox') ||
+           file.name.endsWith('.zip') ||
+           file.name.endsWith('.md') ||
+           file.name.endsWith('.markdown') ||
+           file.name.endsWith('.html') ||
+           file.name.endsWith('.htm') ||
+           file.name.endsWith('.srt') ||
+           file.name.endsWith('.vtt');
 }
 
 /**
  * Get file type identifier
  * 
  * @param {File} file - File object
- * @returns {string} File type (pdf, docx, txt)
+ * @returns {string} File type (pdf, docx, xlsx, pptx, odt, csv, eml, mbox, zip, md, html, srt, vtt, txt)
  */
 function getFileType(file) {
     if (file.name.endsWith('.pdf')) return 'pdf';
     if (file.name.endsWith('.docx')) return 'docx';
+    if (file.name.endsWith('.xlsx')) return 'xlsx';
+    if (file.name.endsWith('.pptx')) return 'pptx';
+    if (file.name.endsWith('.odt')) return 'odt';
+    if (file.name.endsWith('.csv')) return 'csv';
+    if (file.name.endsWith('.eml')) return 'eml';
+    if (file.name.endsWith('.mbox')) return 'mbox';
+    if (file.name.endsWith('.zip')) return 'zip';
+    if (file.name.endsWith('.md') || file.name.endsWith('.markdown')) return 'md';
+    if (file.name.endsWith('.html') || file.name.endsWith('.htm')) return 'html';
+    if (file.name.endsWith('.srt')) return 'srt';
+    if (file.name.endsWith('.vtt')) return 'vtt';
     if (file.name.endsWith('.txt')) return 'txt';
     return SUPPORTED_FILE_TYPES[file.type] || 'unknown';
 }
@@ -54,14 +127,32 @@ function getFileType(file) {
 // ============================================================================
 
 /**
- * Extract text from PDF file
+ * Extract text from PDF file, one entry per page
  * Uses pdf.js library (must be loaded in HTML)
  * 
  * @param {File} file - PDF file
  * @param {Function} progressCallback - Optional progress callback (percent)
- * @returns {Promise<string>} Extracted text
+ * @param {Object} options - Optional settings (see extractPDF)
+ * @returns {Promise<Array<Object>>} Array of {pageNumber, text} in page order
+ */
+async function extractPDFPages(file, progressCallback = null, options = {}) {
+    const { pages } = await extractPDF(file, progressCallback, options);
+    return pages;
+}
+
+/**
+ * Extract the pages and document properties of a PDF file
+ * 
+ * @param {File} file - PDF file
+ * @param {Function} progressCallback - Optional progress callback (percent)
+ * @param {Object} options - Optional settings
+ * @param {string} options.textMode - 'layout' or 'simple' (defaults to PDF_TEXT_MODE)
+ * @param {AbortSignal} options.signal - Optional signal that cancels extraction between pages
+ * @param {Array<string>} options.passwords - Optional passwords to try, in order, if the PDF is encrypted
+ * @returns {Promise<Object>} {pages: [{pageNumber, text}], properties} (see extractPDFProperties)
+ * @throws {Error} PasswordRequiredError if the PDF is encrypted and no password opens it
  */
-async function processPDF(file, progressCallback = null) {
+async function extractPDF(file, progressCallback = null, options = {}) {
     return new Promise(async (resolve, reject) => {
         try {
             // Check if pdf.js is loaded
@@ -75,22 +166,50 @@ async function processPDF(file, progressCallback = null) {
             
             // Load PDF document
             const loadingTask = pdfjsLib.getDocument({ data: arrayBuffer });
-            const pdf = await loadingTask.promise;
+            
+            // pdf.js asks again after each wrong password; an Error stops it asking
+            const passwords = [...(options.passwords || [])];
+            loadingTask.onPassword = (updatePassword) => {
+                updatePassword(passwords.length > 0 ? passwords.shift() : new Error('No password left to try'));
+            };
+            
+            let pdf;
+            try {
+                pdf = await loadingTask.promise;
+            } catch (error) {
+                if (error.name === 'PasswordException') {
+                    throw createPasswordError(file.name, error.code === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD);
+                }
+                throw error;
+            }
             
             const totalPages = pdf.numPages;
-            let fullText = '';
+            const textMode = options.textMode || PDF_TEXT_MODE;
+            const pages = [];
+            const properties = await extractPDFProperties(pdf);
             
             // Extract text from each page
             for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
+                options.signal?.throwIfAborted();
+                
                 const page = await pdf.getPage(pageNum);
                 const textContent = await page.getTextContent();
                 
-                // Concatenate text items with spaces
-                const pageText = textContent.items
-                    .map(item => item.str)
-                    .join(' ');
+                let pageText;
+                if (textMode === 'layout') {
+                    // Rebuild reading order from item positions
+                    pageText = reconstructPageText(textContent.items);
+                } else {
+                    // Concatenate text items with spaces
+                    pageText = textContent.items
+                        .map(item => item.str)
+                        .join(' ');
+                }
                 
-                fullText += pageText + '\n\n';
+                pages.push({
+                    pageNumber: pageNum,
+                    text: pageText
+                });
                 
                 // Report progress
                 if (progressCallback) {
@@ -99,47 +218,1900 @@ async function processPDF(file, progressCallback = null) {
                 }
             }
             
-            resolve(fullText.trim());
+            resolve({ pages, properties });
+            
+        } catch (error) {
+            console.error('Error processing PDF:', error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Extract text from PDF file
+ * Pages are separated by blank lines
+ * 
+ * @param {File} file - PDF file
+ * @param {Function} progressCallback - Optional progress callback (percent)
+ * @param {Object} options - Optional settings (see extractPDFPages)
+ * @returns {Promise<string>} Extracted text
+ */
+async function processPDF(file, progressCallback = null, options = {}) {
+    const pages = await extractPDFPages(file, progressCallback, options);
+    return pages.map(page => page.text).join('\n\n').trim();
+}
+
+/**
+ * Create the error thrown for an encrypted PDF that could not be opened
+ * Passwords are never stored, so the caller has to ask for one and try again
+ * 
+ * @param {string} fileName - PDF file name
+ * @param {boolean} incorrect - True if passwords were tried but none was right
+ * @returns {Error} Error named PasswordRequiredError
+ */
+function createPasswordError(fileName, incorrect) {
+    const error = new Error(incorrect
+        ? `Incorrect password for ${fileName}`
+        : `${fileName} is password-protected`);
+    error.name = 'PasswordRequiredError';
+    error.incorrectPassword = incorrect;
+    return error;
+}
+
+/**
+ * Find pages without a usable text layer (scanned pages that need OCR)
+ * 
+ * @param {Array<Object>} pages - Pages from extractPDFPages ({pageNumber, text})
+ * @param {Object} config - Thresholds (defaults to TEXT_LAYER_CONFIG)
+ * @returns {Object|null} {status, pagesWithoutText, pageCount} or null if every page has text;
+ *   status is 'missing' when no page has text, 'partial' otherwise
+ */
+function detectMissingTextLayer(pages, config = TEXT_LAYER_CONFIG) {
+    const pagesWithoutText = pages
+        .filter(page => page.text.replace(/\s+/g, '').length < config.minCharsPerPage)
+        .map(page => page.pageNumber);
+    
+    if (pagesWithoutText.length === 0) {
+        return null;
+    }
+    
+    return {
+        status: pagesWithoutText.length === pages.length ? 'missing' : 'partial',
+        pagesWithoutText: pagesWithoutText,
+        pageCount: pages.length
+    };
+}
+
+// ============================================================================
+// PDF LAYOUT RECONSTRUCTION
+// ============================================================================
+
+/**
+ * Rebuild page text from positioned pdf.js text items
+ * Groups items into runs on a shared baseline, detects column gutters,
+ * and emits text in reading order with line and paragraph breaks.
+ * Cells of a table row stay on one line, separated by " | ".
+ * 
+ * @param {Array<Object>} items - textContent.items from page.getTextContent()
+ * @returns {string} Page text
+ */
+function reconstructPageText(items) {
+    const runs = buildTextRuns(items);
+    if (runs.length === 0) {
+        return '';
+    }
+    
+    return renderLayoutRegion(runs, 0);
+}
+
+/**
+ * Group text items into runs: contiguous text on one baseline
+ * A run ends at hasEOL, a baseline change, or a gap wide enough to be a
+ * column gutter or table cell boundary
+ * 
+ * @param {Array<Object>} items - pdf.js text items
+ * @returns {Array<Object>} Runs with {text, x0, x1, y, size}
+ */
+function buildTextRuns(items) {
+    const runs = [];
+    let current = null;
+    let pendingSpace = false;
+    
+    const closeRun = () => {
+        if (current && current.text.trim().length > 0) {
+            current.text = current.text.trim();
+            runs.push(current);
+        }
+        current = null;
+        pendingSpace = false;
+    };
+    
+    items.forEach(item => {
+        // Marked content entries carry no text or position
+        if (!item.transform || typeof item.str !== 'string') {
+            return;
+        }
+        
+        const [, , c, d, x, y] = item.transform;
+        const size = Math.hypot(c, d) || item.height || 10;
+        const width = item.width || 0;
+        
+        // Whitespace items only tell us where spaces and line ends are
+        if (item.str.trim().length === 0) {
+            if (current) pendingSpace = true;
+            if (item.hasEOL) closeRun();
+            return;
+        }
+        
+        if (current) {
+            const sameLine = Math.abs(current.y - y) <= PDF_LAYOUT_CONFIG.lineTolerance * size;
+            const gap = x - current.x1;
+            const adjacent = gap > -size && gap < PDF_LAYOUT_CONFIG.cellGap * size;
+            
+            if (sameLine && adjacent) {
+                const needsSpace = pendingSpace || gap > PDF_LAYOUT_CONFIG.wordGap * size;
+                current.text += (needsSpace ? ' ' : '') + item.str;
+                current.x1 = Math.max(current.x1, x + width);
+                current.size = Math.max(current.size, size);
+                pendingSpace = false;
+            } else {
+                closeRun();
+            }
+        }
+        
+        if (!current) {
+            current = { text: item.str, x0: x, x1: x + width, y: y, size: size };
+        }
+        
+        if (item.hasEOL) {
+            closeRun();
+        }
+    });
+    
+    closeRun();
+    return runs;
+}
+
+/**
+ * Render a set of runs as text, splitting into columns where a gutter exists
+ * 
+ * @param {Array<Object>} runs - Runs in this region
+ * @param {number} depth - Current column split depth
+ * @returns {string} Region text
+ */
+function renderLayoutRegion(runs, depth) {
+    const gutter = depth < PDF_LAYOUT_CONFIG.maxColumnDepth ? findColumnGutter(runs) : null;
+    
+    if (gutter === null) {
+        return renderLines(groupRunsIntoLines(runs));
+    }
+    
+    // Walk top to bottom; runs that cross the gutter (titles, full-width
+    // paragraphs) close the current band of columns
+    const sorted = runs.slice().sort((a, b) => b.y - a.y);
+    const blocks = [];
+    let band = [];
+    let spanning = [];
+    
+    const regionX0 = Math.min(...runs.map(run => run.x0));
+    
+    const flushBand = () => {
+        if (band.length > 0) {
+            const left = band.filter(run => run.x1 <= gutter);
+            const right = band.filter(run => run.x0 >= gutter);
+            
+            if (fillsColumn(left, regionX0, gutter)) {
+                if (left.length > 0) blocks.push(renderLayoutRegion(left, depth + 1));
+                if (right.length > 0) blocks.push(renderLayoutRegion(right, depth + 1));
+            } else {
+                // Short labels beside the corridor: a table, keep rows together
+                blocks.push(renderLines(groupRunsIntoLines(band)));
+            }
+            band = [];
+        }
+    };
+    
+    const flushSpanning = () => {
+        if (spanning.length > 0) {
+            blocks.push(renderLines(groupRunsIntoLines(spanning)));
+            spanning = [];
+        }
+    };
+    
+    sorted.forEach(run => {
+        if (run.x0 < gutter && run.x1 > gutter) {
+            flushBand();
+            spanning.push(run);
+        } else {
+            flushSpanning();
+            band.push(run);
+        }
+    });
+    
+    flushSpanning();
+    flushBand();
+    
+    return blocks.filter(block => block.length > 0).join('\n\n');
+}
+
+/**
+ * Find the x position of a column gutter in a region
+ * A gutter is an empty vertical corridor with body text on both sides,
+ * where the text on the left runs up to the corridor (see fillsColumn)
+ * 
+ * @param {Array<Object>} runs - Runs in the region
+ * @returns {number|null} Gutter x position, or null if the region is a single column
+ */
+function findColumnGutter(runs) {
+    if (runs.length < 6) {
+        return null;
+    }
+    
+    const regionX0 = Math.min(...runs.map(run => run.x0));
+    const regionX1 = Math.max(...runs.map(run => run.x1));
+    const regionWidth = regionX1 - regionX0;
+    const medianSize = median(runs.map(run => run.size));
+    
+    // Ignore wide runs when looking for the corridor; they become spanning blocks
+    const narrowRuns = runs.filter(run => (run.x1 - run.x0) < regionWidth * 0.6);
+    if (narrowRuns.length < 6) {
+        return null;
+    }
+    
+    // Merge horizontal extents to find empty corridors
+    const extents = narrowRuns
+        .map(run => [run.x0, run.x1])
+        .sort((a, b) => a[0] - b[0]);
+    
+    let best = null;
+    let coveredTo = extents[0][1];
+    
+    for (let i = 1; i < extents.length; i++) {
+        const [x0, x1] = extents[i];
+        const gapWidth = x0 - coveredTo;
+        
+        if (gapWidth >= PDF_LAYOUT_CONFIG.minColumnGutter * medianSize) {
+            const gutter = coveredTo + gapWidth / 2;
+            
+            // Both sides must hold a real share of the text
+            const leftRuns = narrowRuns.filter(run => run.x1 <= gutter);
+            const rightRuns = narrowRuns.filter(run => run.x0 >= gutter);
+            const balanced = leftRuns.length >= narrowRuns.length * 0.2 &&
+                             rightRuns.length >= narrowRuns.length * 0.2;
+            
+            // Few runs may cross the corridor (titles, full-width lines)
+            const crossing = runs.filter(run => run.x0 < gutter && run.x1 > gutter).length;
+            
+            if (balanced && fillsColumn(leftRuns, regionX0, coveredTo) && crossing <= runs.length * 0.25 &&
+                (!best || gapWidth > best.gapWidth)) {
+                best = { gutter, gapWidth };
+            }
+        }
+        
+        coveredTo = Math.max(coveredTo, x1);
+    }
+    
+    return best ? best.gutter : null;
+}
+
+/**
+ * Check whether runs left of a corridor read as column text
+ * Column text runs up to the corridor; table labels stop well short of it
+ * 
+ * @param {Array<Object>} leftRuns - Runs left of the corridor
+ * @param {number} regionX0 - Left edge of the region
+ * @param {number} columnX1 - Left edge of the corridor
+ * @returns {boolean} True if the runs fill their column
+ */
+function fillsColumn(leftRuns, regionX0, columnX1) {
+    if (leftRuns.length === 0) {
+        return true;
+    }
+    
+    const columnWidth = columnX1 - regionX0;
+    return median(leftRuns.map(run => run.x1)) >= regionX0 + columnWidth * 0.75;
+}
+
+/**
+ * Group runs into lines by baseline, left to right
+ * 
+ * @param {Array<Object>} runs - Runs in a single column region
+ * @returns {Array<Object>} Lines with {text, y, size}
+ */
+function groupRunsIntoLines(runs) {
+    const sorted = runs.slice().sort((a, b) => b.y - a.y || a.x0 - b.x0);
+    const lines = [];
+    
+    sorted.forEach(run => {
+        const line = lines[lines.length - 1];
+        
+        if (line && Math.abs(line.y - run.y) <= PDF_LAYOUT_CONFIG.lineTolerance * Math.max(line.size, run.size)) {
+            line.runs.push(run);
+            line.size = Math.max(line.size, run.size);
+        } else {
+            lines.push({ y: run.y, size: run.size, runs: [run] });
+        }
+    });
+    
+    return lines.map(line => {
+        const cells = line.runs.sort((a, b) => a.x0 - b.x0);
+        let text = cells[0].text;
+        
+        for (let i = 1; i < cells.length; i++) {
+            const gap = cells[i].x0 - cells[i - 1].x1;
+            const separator = gap >= PDF_LAYOUT_CONFIG.cellGap * line.size ? ' | ' : ' ';
+            text += separator + cells[i].text;
+        }
+        
+        return { text, y: line.y, size: line.size };
+    });
+}
+
+/**
+ * Join lines into text, inserting a blank line where the vertical gap
+ * is noticeably larger than the usual line spacing
+ * 
+ * @param {Array<Object>} lines - Lines from groupRunsIntoLines (top to bottom)
+ * @returns {string} Text with paragraph breaks
+ */
+function renderLines(lines) {
+    if (lines.length === 0) {
+        return '';
+    }
+    
+    const spacings = [];
+    for (let i = 1; i < lines.length; i++) {
+        spacings.push(lines[i - 1].y - lines[i].y);
+    }
+    const typicalSpacing = spacings.length > 0 ? median(spacings) : 0;
+    
+    let text = lines[0].text;
+    
+    for (let i = 1; i < lines.length; i++) {
+        const spacing = lines[i - 1].y - lines[i].y;
+        const paragraphBreak = spacing > PDF_LAYOUT_CONFIG.paragraphGap * Math.max(typicalSpacing, lines[i].size);
+        text += (paragraphBreak ? '\n\n' : '\n') + lines[i].text;
+    }
+    
+    return text;
+}
+
+/**
+ * Median of a list of numbers
+ * 
+ * @param {Array<number>} values - Numbers
+ * @returns {number} Median (0 for an empty list)
+ */
+function median(values) {
+    if (values.length === 0) {
+        return 0;
+    }
+    
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0
+        ? (sorted[middle - 1] + sorted[middle]) / 2
+        : sorted[middle];
+}
+
+// ============================================================================
+// HEADER / FOOTER REMOVAL
+// ============================================================================
+
+/**
+ * Reduce a line to a comparison key
+ * Case, spacing and digits are ignored so "Page 3 of 47" and
+ * "Page 4 of 47" count as the same line
+ * 
+ * @param {string} line - Line of page text
+ * @returns {string} Comparison key
+ */
+function boilerplateKey(line) {
+    return line
+        .toLowerCase()
+        .replace(/\d+/g, '#')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Strip lines that repeat at the top or bottom of many pages
+ * Only the first and last few lines of each page are considered, so
+ * repeated phrases in body text are kept
+ * 
+ * @param {Array<Object>} pages - Pages from extractPDFPages ({pageNumber, text})
+ * @param {Object} config - Thresholds (defaults to BOILERPLATE_CONFIG)
+ * @returns {Object} {pages, removed} where removed lists {text, pageCount} for each stripped line
+ */
+function removeRepeatedPageLines(pages, config = BOILERPLATE_CONFIG) {
+    if (!config.enabled || pages.length < config.minPages) {
+        return { pages, removed: [] };
+    }
+    
+    // Split each page into lines and note which ones sit at the edges
+    const pageLines = pages.map(page => {
+        const lines = (page.text || '').split('\n');
+        const contentIndexes = lines
+            .map((line, index) => line.trim().length > 0 ? index : -1)
+            .filter(index => index !== -1);
+        
+        // Short pages get a narrower window so body text is never examined;
+        // a single-line page (e.g. simple text mode) has no separate header
+        const edgeWindow = Math.min(config.edgeLines, Math.floor(contentIndexes.length / 3));
+        const edgeIndexes = new Set();
+        if (edgeWindow > 0) {
+            contentIndexes.slice(0, edgeWindow).forEach(index => edgeIndexes.add(index));
+            contentIndexes.slice(-edgeWindow).forEach(index => edgeIndexes.add(index));
+        }
+        
+        return { lines, edgeIndexes };
+    });
+    
+    // Count the pages each edge line appears on
+    const pageCounts = new Map();
+    const samples = new Map();
+    
+    pageLines.forEach(({ lines, edgeIndexes }) => {
+        const keysOnPage = new Set();
+        edgeIndexes.forEach(index => {
+            const key = boilerplateKey(lines[index]);
+            if (key.length > 0 && !keysOnPage.has(key)) {
+                keysOnPage.add(key);
+                pageCounts.set(key, (pageCounts.get(key) || 0) + 1);
+                if (!samples.has(key)) samples.set(key, lines[index].trim());
+            }
+        });
+    });
+    
+    const minCount = Math.max(config.minPages, Math.ceil(pages.length * config.minPageRatio));
+    const repeated = new Set(
+        Array.from(pageCounts.entries())
+            .filter(([, count]) => count >= minCount)
+            .map(([key]) => key)
+    );
+    
+    if (repeated.size === 0) {
+        return { pages, removed: [] };
+    }
+    
+    const strippedPages = pages.map((page, pageIndex) => {
+        const { lines, edgeIndexes } = pageLines[pageIndex];
+        const kept = lines.filter((line, index) => 
+            !(edgeIndexes.has(index) && repeated.has(boilerplateKey(line)))
+        );
+        return { ...page, text: kept.join('\n') };
+    });
+    
+    const removed = Array.from(repeated).map(key => ({
+        text: samples.get(key),
+        pageCount: pageCounts.get(key)
+    }));
+    
+    console.log(`Removed ${removed.length} repeated header/footer line(s)`);
+    
+    return { pages: strippedPages, removed };
+}
+
+// ============================================================================
+// DOCX PROCESSING (using mammoth.js)
+// ============================================================================
+
+/**
+ * Extract structured blocks from DOCX file
+ * Converts to HTML with mammoth.js so headings, lists and tables survive,
+ * then walks the markup to tag each block with its heading path
+ * 
+ * @param {File} file - DOCX file
+ * @returns {Promise<Array<Object>>} Array of {text, headingPath} blocks in document order
+ */
+async function extractDOCXBlocks(file) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            // Check if mammoth.js and the markup parser are loaded
+            if (typeof mammoth === 'undefined') {
+                reject(new Error('mammoth.js library not loaded'));
+                return;
+            }
+            if (!window.InvantiaMarkup) {
+                reject(new Error('Markup parser not loaded'));
+                return;
+            }
+            
+            // Read file as ArrayBuffer
+            const arrayBuffer = await file.arrayBuffer();
+            
+            // Convert to HTML (images are not needed for text extraction)
+            const result = await mammoth.convertToHtml({ arrayBuffer }, {
+                convertImage: mammoth.images.imgElement(() => Promise.resolve({ src: '' }))
+            });
+            
+            const root = window.InvantiaMarkup.parseMarkup(result.value, { html: true });
+            resolve(extractMarkupBlocks(root));
+            
+        } catch (error) {
+            console.error('Error processing DOCX:', error);
+            reject(error);
+        }
+    });
+}
+
+// ============================================================================
+// STRUCTURED MARKUP EXTRACTION
+// ============================================================================
+
+const HEADING_LEVELS = { h1: 1, h2: 2, h3: 3, h4: 4, h5: 5, h6: 6 };
+
+// Elements whose content starts a new block
+const BLOCK_ELEMENTS = new Set([
+    'p', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'nav',
+    'blockquote', 'address', 'figure', 'figcaption', 'dl', 'dt', 'dd', 'body', 'html',
+    'form', 'fieldset', 'details', 'summary', 'center'
+]);
+
+// Elements with no readable content
+const SKIPPED_ELEMENTS = new Set(['head', 'title', 'meta', 'link', 'img', 'hr', 'button', 'select', 'input']);
+
+/**
+ * Collapse whitespace within each line and drop empty lines
+ * 
+ * @param {string} text - Text with arbitrary whitespace
+ * @returns {string} Tidied text
+ */
+function collapseWhitespace(text) {
+    return text
+        .split('\n')
+        .map(line => line.replace(/[ \t\r\f\v]+/g, ' ').trim())
+        .filter(line => line.length > 0)
+        .join('\n');
+}
+
+/**
+ * Text of an inline run, keeping <br> as a line break
+ * 
+ * @param {Object} node - Markup node
+ * @returns {string} Text
+ */
+function inlineText(node) {
+    if (node.type === 'text') {
+        return node.text.replace(/\s+/g, ' ');
+    }
+    if (node.name === 'br') {
+        return '\n';
+    }
+    if (SKIPPED_ELEMENTS.has(node.name)) {
+        return '';
+    }
+    
+    const text = node.children.map(inlineText).join('');
+    return BLOCK_ELEMENTS.has(node.name) || node.name === 'li' ? ` ${text} ` : text;
+}
+
+/**
+ * Render a list as lines, numbering ordered items and indenting nested lists
+ * 
+ * @param {Object} listNode - ul or ol element
+ * @param {number} depth - Nesting depth
+ * @returns {Array<string>} Lines
+ */
+function listLines(listNode, depth = 0) {
+    const lines = [];
+    const ordered = listNode.name === 'ol';
+    let counter = parseInt(listNode.attrs.start, 10) || 1;
+    
+    listNode.children
+        .filter(child => child.type === 'element' && child.name === 'li')
+        .forEach(item => {
+            const nested = item.children.filter(child => 
+                child.type === 'element' && (child.name === 'ul' || child.name === 'ol')
+            );
+            const own = item.children.filter(child => !nested.includes(child));
+            const text = collapseWhitespace(own.map(inlineText).join('')).replace(/\n/g, ' ');
+            
+            if (text.length > 0) {
+                const marker = ordered ? `${counter}.` : '-';
+                lines.push(`${'  '.repeat(depth)}${marker} ${text}`);
+            }
+            counter++;
+            
+            nested.forEach(list => lines.push(...listLines(list, depth + 1)));
+        });
+    
+    return lines;
+}
+
+/**
+ * Render a table as one line per row with cells separated by " | "
+ * 
+ * @param {Object} tableNode - table element
+ * @returns {string} Table text
+ */
+function tableText(tableNode) {
+    const rows = window.InvantiaMarkup.findAll(tableNode, 'tr');
+    
+    return rows
+        .map(row => row.children
+            .filter(cell => cell.type === 'element' && (cell.name === 'td' || cell.name === 'th'))
+            .map(cell => collapseWhitespace(inlineText(cell)).replace(/\n/g, ' '))
+            .join(' | '))
+        .filter(line => line.replace(/[|\s]/g, '').length > 0)
+        .join('\n');
+}
+
+/**
+ * Walk a markup tree and produce text blocks tagged with their heading path
+ * Headings update the path ("Article 7 > 7.2 Indemnification"); paragraphs,
+ * lists and tables become blocks under the current path
+ * 
+ * @param {Object} root - Root node from InvantiaMarkup.parseMarkup
+ * @returns {Array<Object>} Array of {text, headingPath} blocks
+ */
+function extractMarkupBlocks(root) {
+    const blocks = [];
+    const headings = [];
+    
+    const currentPath = () => headings.length > 0 ? headings.map(h => h.text).join(' > ') : null;
+    
+    const pushBlock = (text) => {
+        const tidy = collapseWhitespace(text);
+        if (tidy.length > 0) {
+            blocks.push({ text: tidy, headingPath: currentPath() });
+        }
+    };
+    
+    const walk = (node) => {
+        let inline = '';
+        const flush = () => {
+            pushBlock(inline);
+            inline = '';
+        };
+        
+        node.children.forEach(child => {
+            if (child.type === 'text') {
+                inline += inlineText(child);
+                return;
+            }
+            
+            const name = child.name;
+            
+            if (HEADING_LEVELS[name]) {
+                flush();
+                const text = collapseWhitespace(inlineText(child)).replace(/\n/g, ' ');
+                if (text.length > 0) {
+                    while (headings.length > 0 && headings[headings.length - 1].level >= HEADING_LEVELS[name]) {
+                        headings.pop();
+                    }
+                    headings.push({ level: HEADING_LEVELS[name], text: text });
+                    pushBlock(text);
+                }
+            } else if (name === 'ul' || name === 'ol') {
+                flush();
+                pushBlock(listLines(child).join('\n'));
+            } else if (name === 'table') {
+                flush();
+                pushBlock(tableText(child));
+            } else if (name === 'pre') {
+                flush();
+                pushBlock(window.InvantiaMarkup.getText(child));
+            } else if (BLOCK_ELEMENTS.has(name)) {
+                flush();
+                walk(child);
+            } else if (!SKIPPED_ELEMENTS.has(name)) {
+                inline += inlineText(child);
+            }
+        });
+        
+        flush();
+    };
+    
+    walk(root);
+    return blocks;
+}
+
+/**
+ * Merge consecutive block spans that share a heading path into sections
+ * 
+ * @param {Array<Object>} spans - Spans from assembleBlocks with a headingPath field
+ * @returns {Array<Object>} Sections ({headingPath, start, end}); text before the first heading is omitted
+ */
+function buildSections(spans) {
+    const sections = [];
+    
+    spans.forEach(span => {
+        if (!span.headingPath) {
+            return;
+        }
+        
+        const last = sections[sections.length - 1];
+        if (last && last.headingPath === span.headingPath) {
+            last.end = span.end;
+        } else {
+            sections.push({ headingPath: span.headingPath, start: span.start, end: span.end });
+        }
+    });
+    
+    return sections;
+}
+
+// ============================================================================
+// MARKDOWN AND HTML PROCESSING
+// ============================================================================
+
+/**
+ * Extract structured blocks and page properties from an HTML file
+ * The page is parsed without a DOM: nothing is rendered or executed,
+ * and scripts, styles and embedded objects are dropped with their content
+ * 
+ * @param {File} file - HTML file
+ * @returns {Promise<Object>} {blocks: [{text, headingPath}], properties} with title, author, subject, keywords
+ */
+async function extractHTMLDocument(file) {
+    const { parseMarkup, findFirst, findAll, getText } = window.InvantiaMarkup;
+    const root = parseMarkup(await processTXT(file), { html: true });
+    
+    const title = findFirst(root, 'title');
+    const meta = (name) => {
+        const element = findAll(root, 'meta').find(el => (el.attrs.name || '').toLowerCase() === name);
+        return element ? element.attrs.content : null;
+    };
+    
+    return {
+        blocks: extractMarkupBlocks(root),
+        properties: compactProperties({
+            title: title ? getText(title) : null,
+            author: meta('author'),
+            subject: meta('description'),
+            keywords: meta('keywords')
+        })
+    };
+}
+
+/**
+ * Extract structured blocks and front matter properties from a Markdown file
+ * The Markdown is converted to HTML and walked like any other markup
+ * 
+ * @param {File} file - Markdown file
+ * @returns {Promise<Object>} {blocks: [{text, headingPath}], properties} from the YAML front matter
+ */
+async function extractMarkdownDocument(file) {
+    const source = await processTXT(file);
+    const { attributes } = window.InvantiaMarkdown.splitFrontMatter(source);
+    const root = window.InvantiaMarkup.parseMarkup(window.InvantiaMarkdown.toHTML(source), { html: true });
+    
+    const list = (value) => value ? value.replace(/^\[|\]$/g, '') : null;
+    
+    return {
+        blocks: extractMarkupBlocks(root),
+        properties: compactProperties({
+            title: attributes.title,
+            author: attributes.author,
+            subject: attributes.description,
+            keywords: list(attributes.tags || attributes.keywords),
+            createdDate: propertyDateToISO(attributes.date),
+            modifiedDate: propertyDateToISO(attributes.lastmod || attributes.updated)
+        })
+    };
+}
+
+// ============================================================================
+// PRESENTATION AND OPENDOCUMENT PROCESSING (PPTX, ODT)
+// ============================================================================
+
+// Slide placeholders that repeat on every slide (slide number, date, footer)
+const SLIDE_FURNITURE_PLACEHOLDERS = new Set(['sldNum', 'dt', 'ftr', 'hdr', 'sldImg']);
+
+/**
+ * Resolve a relationship target against the package part that refers to it
+ * ("ppt/slides/slide1.xml" + "../notesSlides/notesSlide1.xml" -> "ppt/notesSlides/notesSlide1.xml")
+ * 
+ * @param {string} basePath - Path of the referring part
+ * @param {string} target - Relationship target
+ * @returns {string} Package path
+ */
+function resolvePackagePath(basePath, target) {
+    if (target.startsWith('/')) {
+        return target.slice(1);
+    }
+    
+    const parts = basePath.split('/').slice(0, -1);
+    target.split('/').forEach(part => {
+        if (part === '..') {
+            parts.pop();
+        } else if (part !== '.' && part !== '') {
+            parts.push(part);
+        }
+    });
+    
+    return parts.join('/');
+}
+
+/**
+ * Read the relationships of a package part ("ppt/slides/slide1.xml" ->
+ * "ppt/slides/_rels/slide1.xml.rels")
+ * 
+ * @param {Object} zip - Archive from InvantiaZip.openZip
+ * @param {string} partPath - Package part path
+ * @returns {Promise<Array<Object>>} Relationships ({id, type, path})
+ */
+async function readPackageRelationships(zip, partPath) {
+    const { parseMarkup, findAll, localName } = window.InvantiaMarkup;
+    const slash = partPath.lastIndexOf('/');
+    const relsPath = `${partPath.slice(0, slash + 1)}_rels/${partPath.slice(slash + 1)}.rels`;
+    
+    if (!zip.has(relsPath)) {
+        return [];
+    }
+    
+    const rels = parseMarkup(await zip.readText(relsPath), { html: false });
+    return findAll(rels, el => localName(el.name) === 'Relationship')
+        .filter(rel => rel.attrs.TargetMode !== 'External')
+        .map(rel => ({
+            id: rel.attrs.Id,
+            type: rel.attrs.Type || '',
+            path: resolvePackagePath(partPath, rel.attrs.Target || '')
+        }));
+}
+
+/**
+ * Text lines of a DrawingML shape tree: one line per paragraph, one
+ * " | "-separated line per table row; group shapes are read in order
+ * 
+ * @param {Object} node - Shape tree element (p:spTree, p:grpSp)
+ * @returns {Object} {title, lines}: title placeholder text and the other lines
+ */
+function readShapeTree(node) {
+    const { findAll, findFirst, localName, getText } = window.InvantiaMarkup;
+    const byName = (name) => (el) => el.type === 'element' && localName(el.name) === name;
+    
+    const paragraphLines = (element) => findAll(element, byName('p'))
+        .map(paragraph => findAll(paragraph, el => byName('t')(el) || byName('br')(el))
+            .map(el => localName(el.name) === 'br' ? '\n' : getText(el))
+            .join('')
+            .trim())
+        .filter(line => line.length > 0);
+    
+    let title = null;
+    const lines = [];
+    
+    node.children.filter(child => child.type === 'element').forEach(child => {
+        const name = localName(child.name);
+        
+        if (name === 'sp') {
+            const placeholder = findFirst(child, byName('ph'));
+            const type = placeholder ? placeholder.attrs.type : null;
+            if (SLIDE_FURNITURE_PLACEHOLDERS.has(type)) return;
+            
+            const text = paragraphLines(child);
+            if ((type === 'title' || type === 'ctrTitle') && !title && text.length > 0) {
+                title = text.join(' ').replace(/\s+/g, ' ');
+            } else {
+                lines.push(...text);
+            }
+        } else if (name === 'graphicFrame') {
+            findAll(child, byName('tr')).forEach(row => {
+                const cells = row.children
+                    .filter(byName('tc'))
+                    .map(cell => paragraphLines(cell).join(' '));
+                if (cells.some(cell => cell.length > 0)) {
+                    lines.push(cells.join(' | '));
+                }
+            });
+        } else if (name === 'grpSp') {
+            const group = readShapeTree(child);
+            if (group.title && !title) {
+                title = group.title;
+            } else if (group.title) {
+                lines.push(group.title);
+            }
+            lines.push(...group.lines);
+        }
+    });
+    
+    return { title, lines };
+}
+
+/**
+ * Read the slides of a PowerPoint presentation with their speaker notes
+ * Slides are read from the package directly, in presentation order
+ * 
+ * @param {File} file - PPTX file
+ * @returns {Promise<Array<Object>>} Slides ({slideNumber, title, lines, notes})
+ */
+async function extractPPTXSlides(file) {
+    const { parseMarkup, findAll, findFirst, localName } = window.InvantiaMarkup;
+    const byName = (name) => (el) => el.type === 'element' && localName(el.name) === name;
+    const parseXML = async (zip, path) => parseMarkup(await zip.readText(path), { html: false });
+    
+    const zip = await window.InvantiaZip.openZip(file);
+    
+    if (!zip.has('ppt/presentation.xml')) {
+        throw new Error('Not a PowerPoint presentation (ppt/presentation.xml missing)');
+    }
+    
+    const presentation = await parseXML(zip, 'ppt/presentation.xml');
+    const relationships = await readPackageRelationships(zip, 'ppt/presentation.xml');
+    const slidePaths = findAll(presentation, byName('sldId'))
+        .map(slideId => relationships.find(rel => rel.id === slideId.attrs['r:id']))
+        .filter(rel => rel && zip.has(rel.path))
+        .map(rel => rel.path);
+    
+    const slides = [];
+    
+    for (let i = 0; i < slidePaths.length; i++) {
+        const slide = await parseXML(zip, slidePaths[i]);
+        const { title, lines } = readShapeTree(findFirst(slide, byName('spTree')) || slide);
+        
+        // Speaker notes live in their own part, linked from the slide
+        let notes = null;
+        const notesRel = (await readPackageRelationships(zip, slidePaths[i]))
+            .find(rel => rel.type.endsWith('/notesSlide'));
+        if (notesRel && zip.has(notesRel.path)) {
+            const notesSlide = await parseXML(zip, notesRel.path);
+            const notesTree = findFirst(notesSlide, byName('spTree'));
+            notes = notesTree ? readShapeTree(notesTree).lines.join('\n') || null : null;
+        }
+        
+        slides.push({ slideNumber: i + 1, title, lines, notes });
+    }
+    
+    return slides;
+}
+
+/**
+ * Build one block per slide: a "Slide 3: Title" label, the slide text,
+ * then its speaker notes
+ * 
+ * @param {Array<Object>} slides - Slides from extractPPTXSlides
+ * @returns {Array<Object>} Blocks for assembleBlocks ({text, label, slideNumber, title})
+ */
+function buildSlideBlocks(slides) {
+    return slides.map(slide => {
+        // Normalized up front so the label matches the start of the assembled slide text
+        const label = normalizeText(slide.title
+            ? `Slide ${slide.slideNumber}: ${slide.title}`
+            : `Slide ${slide.slideNumber}`);
+        
+        const parts = [label, ...slide.lines];
+        if (slide.notes) {
+            parts.push(`Speaker notes: ${slide.notes}`);
+        }
+        
+        return {
+            text: parts.join('\n'),
+            label: label,
+            slideNumber: slide.slideNumber,
+            title: slide.title
+        };
+    });
+}
+
+// ODF text elements and the HTML elements extractMarkupBlocks reads them as
+const ODF_ELEMENT_NAMES = {
+    'p': 'p',
+    'list': 'ul',
+    'list-item': 'li',
+    'list-header': 'li',
+    'table': 'table',
+    'table-row': 'tr',
+    'table-cell': 'td',
+    'covered-table-cell': 'td',
+    'section': 'section',
+    'frame': 'div',
+    'text-box': 'div'
+};
+
+// ODF elements with no body text (footnotes, comments, deleted text, generated indexes)
+const ODF_SKIPPED_ELEMENTS = new Set([
+    'note', 'annotation', 'tracked-changes', 'sequence-decls', 'variable-decls',
+    'table-of-content', 'alphabetical-index', 'illustration-index', 'bibliography', 'forms'
+]);
+
+/**
+ * Rename an ODF text tree into the HTML elements extractMarkupBlocks understands
+ * (text:h -> h1..h6, text:p -> p, text:list -> ul, table:table-row -> tr, ...)
+ * 
+ * @param {Object} node - ODF element
+ * @returns {Object} Markup node with HTML element names
+ */
+function odfToMarkup(node) {
+    const { localName } = window.InvantiaMarkup;
+    const children = [];
+    
+    node.children.forEach(child => {
+        if (child.type !== 'element') {
+            children.push(child);
+            return;
+        }
+        
+        const name = localName(child.name);
+        
+        if (ODF_SKIPPED_ELEMENTS.has(name)) {
+            return;
+        } else if (name === 's') {
+            children.push({ type: 'text', text: ' '.repeat(parseInt(child.attrs['text:c'], 10) || 1) });
+        } else if (name === 'tab') {
+            children.push({ type: 'text', text: '\t' });
+        } else if (name === 'line-break') {
+            children.push({ type: 'element', name: 'br', attrs: {}, children: [] });
+        } else if (name === 'h') {
+            const level = Math.min(6, parseInt(child.attrs['text:outline-level'], 10) || 1);
+            children.push({ ...odfToMarkup(child), name: `h${level}` });
+        } else {
+            children.push({ ...odfToMarkup(child), name: ODF_ELEMENT_NAMES[name] || 'span' });
+        }
+    });
+    
+    return { type: 'element', name: 'div', attrs: {}, children };
+}
+
+/**
+ * Extract structured blocks from an OpenDocument text file
+ * content.xml is read from the package and walked like HTML, so headings,
+ * lists and tables are kept
+ * 
+ * @param {File} file - ODT file
+ * @returns {Promise<Array<Object>>} Array of {text, headingPath} blocks in document order
+ */
+async function extractODTBlocks(file) {
+    const { parseMarkup, findFirst, localName } = window.InvantiaMarkup;
+    
+    const zip = await window.InvantiaZip.openZip(file);
+    
+    if (!zip.has('content.xml')) {
+        throw new Error('Not an OpenDocument file (content.xml missing)');
+    }
+    
+    const content = parseMarkup(await zip.readText('content.xml'), { html: false });
+    const body = findFirst(content, el => el.name === 'office:text') ||
+        findFirst(content, el => localName(el.name) === 'body');
+    
+    if (!body) {
+        return [];
+    }
+    
+    return extractMarkupBlocks(odfToMarkup(body));
+}
+
+// ============================================================================
+// DOCUMENT PROPERTIES (PDF info / XMP, Office core properties, ODF meta)
+// ============================================================================
+
+/**
+ * Keep only the properties that have a value
+ * 
+ * @param {Object} properties - Candidate properties
+ * @returns {Object|null} Properties with non-empty values, or null if none
+ */
+function compactProperties(properties) {
+    const compact = {};
+    
+    Object.entries(properties).forEach(([key, value]) => {
+        if (value === null || value === undefined) return;
+        const text = String(value).trim();
+        if (text.length > 0) {
+            compact[key] = text;
+        }
+    });
+    
+    return Object.keys(compact).length > 0 ? compact : null;
+}
+
+/**
+ * Convert a date string (ISO 8601 or a PDF "D:YYYYMMDDHHmmSS+HH'mm'" date) to ISO 8601
+ * 
+ * @param {string} value - Date string
+ * @returns {string|null} ISO date, or null if unparseable
+ */
+function propertyDateToISO(value) {
+    if (!value) return null;
+    
+    let date = null;
+    if (/^D:|^\d{14}/.test(value) && typeof pdfjsLib !== 'undefined' && pdfjsLib.PDFDateString) {
+        date = pdfjsLib.PDFDateString.toDateObject(value);
+    } else {
+        date = new Date(value);
+    }
+    
+    return date && !isNaN(date) ? date.toISOString() : null;
+}
+
+/**
+ * Read the document properties of an open pdf.js document
+ * XMP metadata is preferred over the older info dictionary when both are present
+ * 
+ * @param {Object} pdf - pdf.js document
+ * @returns {Promise<Object|null>} {title, author, subject, keywords, createdDate, modifiedDate, producer, creatorTool}
+ */
+async function extractPDFProperties(pdf) {
+    let info = {};
+    let metadata = null;
+    
+    try {
+        ({ info = {}, metadata = null } = await pdf.getMetadata());
+    } catch (error) {
+        console.warn('Could not read PDF metadata:', error);
+        return null;
+    }
+    
+    // XMP lists (dc:creator, language alternatives of dc:title) come back as arrays
+    const xmp = (name) => {
+        const value = metadata ? metadata.get(name) : null;
+        return Array.isArray(value) ? value.join(', ') : value;
+    };
+    
+    return compactProperties({
+        title: xmp('dc:title') || info.Title,
+        author: xmp('dc:creator') || info.Author,
+        subject: xmp('dc:description') || info.Subject,
+        keywords: xmp('pdf:keywords') || info.Keywords,
+        createdDate: propertyDateToISO(xmp('xmp:createdate')) || propertyDateToISO(info.CreationDate),
+        modifiedDate: propertyDateToISO(xmp('xmp:modifydate')) || propertyDateToISO(info.ModDate),
+        producer: xmp('pdf:producer') || info.Producer,
+        creatorTool: xmp('xmp:creatortool') || info.Creator
+    });
+}
+
+/**
+ * Read the core properties of an Office Open XML file (DOCX, XLSX, PPTX)
+ * from docProps/core.xml, plus the authoring application from docProps/app.xml
+ * 
+ * @param {File|Object} source - Office file, or an archive from InvantiaZip.openZip
+ * @returns {Promise<Object|null>} {title, author, subject, keywords, createdDate, modifiedDate, lastModifiedBy, revision, producer}
+ */
+async function extractOfficeProperties(source) {
+    const { parseMarkup, findFirst, localName, getText } = window.InvantiaMarkup;
+    
+    try {
+        const zip = source.entries ? source : await window.InvantiaZip.openZip(source);
+        const field = (root, name) => {
+            const element = findFirst(root, el => localName(el.name) === name);
+            return element ? getText(element) : null;
+        };
+        
+        let properties = {};
+        
+        if (zip.has('docProps/core.xml')) {
+            const core = parseMarkup(await zip.readText('docProps/core.xml'), { html: false });
+            properties = {
+                title: field(core, 'title'),
+                author: field(core, 'creator'),
+                subject: field(core, 'subject'),
+                keywords: field(core, 'keywords'),
+                createdDate: propertyDateToISO(field(core, 'created')),
+                modifiedDate: propertyDateToISO(field(core, 'modified')),
+                lastModifiedBy: field(core, 'lastModifiedBy'),
+                revision: field(core, 'revision')
+            };
+        }
+        
+        if (zip.has('docProps/app.xml')) {
+            const app = parseMarkup(await zip.readText('docProps/app.xml'), { html: false });
+            properties.producer = field(app, 'Application');
+        }
+        
+        return compactProperties(properties);
+        
+    } catch (error) {
+        // Properties are optional - a damaged docProps part should not stop extraction
+        console.warn('Could not read document properties:', error);
+        return null;
+    }
+}
+
+/**
+ * Read the document properties of an OpenDocument file from meta.xml
+ * 
+ * @param {File} file - ODT file
+ * @returns {Promise<Object|null>} {title, author, subject, keywords, createdDate, modifiedDate, lastModifiedBy, revision, producer}
+ */
+async function extractODFProperties(file) {
+    const { parseMarkup, findAll, findFirst, getText } = window.InvantiaMarkup;
+    
+    try {
+        const zip = await window.InvantiaZip.openZip(file);
+        if (!zip.has('meta.xml')) {
+            return null;
+        }
+        
+        const meta = parseMarkup(await zip.readText('meta.xml'), { html: false });
+        const field = (name) => {
+            const element = findFirst(meta, name);
+            return element ? getText(element) : null;
+        };
+        
+        return compactProperties({
+            title: field('dc:title'),
+            author: field('meta:initial-creator'),
+            subject: field('dc:subject') || field('dc:description'),
+            keywords: findAll(meta, 'meta:keyword').map(getText).join(', '),
+            createdDate: propertyDateToISO(field('meta:creation-date')),
+            modifiedDate: propertyDateToISO(field('dc:date')),
+            lastModifiedBy: field('dc:creator'),
+            revision: field('meta:editing-cycles'),
+            producer: field('meta:generator')
+        });
+        
+    } catch (error) {
+        // Properties are optional - a damaged meta.xml should not stop extraction
+        console.warn('Could not read document properties:', error);
+        return null;
+    }
+}
+
+// ============================================================================
+// SPREADSHEET PROCESSING (XLSX and CSV)
+// ============================================================================
+
+// Built-in Excel number formats that display dates and times
+const EXCEL_DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 30, 36, 45, 46, 47, 50, 57]);
+
+// Candidate CSV delimiters, picked by frequency in the first line
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Read every worksheet of an XLSX workbook
+ * Cell values are returned as displayed text; dates become ISO dates
+ * 
+ * @param {File} file - XLSX file
+ * @returns {Promise<Array<Object>>} Sheets ({sheetName, rows: [{rowNumber, cells}]})
+ */
+async function extractXLSXSheets(file) {
+    const { parseMarkup, findAll, findFirst, localName, getText } = window.InvantiaMarkup;
+    const byName = (name) => (el) => el.type === 'element' && localName(el.name) === name;
+    const parseXML = async (zip, path) => parseMarkup(await zip.readText(path), { html: false });
+    
+    const zip = await window.InvantiaZip.openZip(file);
+    
+    if (!zip.has('xl/workbook.xml')) {
+        throw new Error('Not an Excel workbook (xl/workbook.xml missing)');
+    }
+    
+    const workbook = await parseXML(zip, 'xl/workbook.xml');
+    const workbookProps = findFirst(workbook, byName('workbookPr'));
+    const date1904 = workbookProps && ['1', 'true'].includes(workbookProps.attrs.date1904);
+    
+    // Map relationship IDs to worksheet paths
+    const targets = {};
+    if (zip.has('xl/_rels/workbook.xml.rels')) {
+        const rels = await parseXML(zip, 'xl/_rels/workbook.xml.rels');
+        findAll(rels, byName('Relationship')).forEach(rel => {
+            const target = rel.attrs.Target || '';
+            targets[rel.attrs.Id] = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+        });
+    }
+    
+    // Shared strings (rich text runs are concatenated, phonetic hints skipped)
+    let sharedStrings = [];
+    if (zip.has('xl/sharedStrings.xml')) {
+        const shared = await parseXML(zip, 'xl/sharedStrings.xml');
+        sharedStrings = findAll(shared, byName('si')).map(si => 
+            si.children
+                .filter(el => byName('t')(el) || byName('r')(el))
+                .map(getText)
+                .join('')
+        );
+    }
+    
+    // Cell styles that carry a date format
+    const dateStyles = new Set();
+    if (zip.has('xl/styles.xml')) {
+        const styles = await parseXML(zip, 'xl/styles.xml');
+        const customDateFormats = new Set(
+            findAll(styles, byName('numFmt'))
+                .filter(fmt => isDateFormatCode(fmt.attrs.formatCode || ''))
+                .map(fmt => parseInt(fmt.attrs.numFmtId, 10))
+        );
+        
+        const cellXfs = findFirst(styles, byName('cellXfs'));
+        if (cellXfs) {
+            cellXfs.children
+                .filter(byName('xf'))
+                .forEach((xf, index) => {
+                    const formatId = parseInt(xf.attrs.numFmtId, 10);
+                    if (EXCEL_DATE_FORMAT_IDS.has(formatId) || customDateFormats.has(formatId)) {
+                        dateStyles.add(index);
+                    }
+                });
+        }
+    }
+    
+    const sheets = [];
+    
+    for (const sheet of findAll(workbook, byName('sheet'))) {
+        const relId = Object.keys(sheet.attrs).find(attr => localName(attr) === 'id');
+        const path = targets[sheet.attrs[relId]];
+        
+        // Chart sheets and dangling references have no cell data
+        if (!path || !zip.has(path)) {
+            continue;
+        }
+        
+        const worksheet = await parseXML(zip, path);
+        const sheetData = findFirst(worksheet, byName('sheetData'));
+        if (!sheetData) {
+            continue;
+        }
+        
+        const rows = [];
+        
+        sheetData.children.filter(byName('row')).forEach(row => {
+            const rowNumber = parseInt(row.attrs.r, 10) || (rows.length > 0 ? rows[rows.length - 1].rowNumber + 1 : 1);
+            const cells = [];
+            
+            row.children.filter(byName('c')).forEach(cell => {
+                const column = cell.attrs.r ? columnIndex(cell.attrs.r) : cells.length;
+                cells[column] = xlsxCellText(cell, sharedStrings, dateStyles, date1904);
+            });
+            
+            rows.push({ rowNumber, cells: Array.from(cells, value => value || '') });
+        });
+        
+        sheets.push({ sheetName: sheet.attrs.name || `Sheet ${sheets.length + 1}`, rows });
+    }
+    
+    return sheets;
+}
+
+/**
+ * Displayed text of one XLSX cell
+ */
+function xlsxCellText(cell, sharedStrings, dateStyles, date1904) {
+    const { findFirst, localName, getText } = window.InvantiaMarkup;
+    const child = (name) => findFirst(cell, el => localName(el.name) === name);
+    const value = child('v') ? getText(child('v')) : '';
+    
+    switch (cell.attrs.t) {
+        case 's':
+            return sharedStrings[parseInt(value, 10)] || '';
+        case 'inlineStr':
+            return child('is') ? getText(child('is')) : '';
+        case 'b':
+            return value === '1' ? 'TRUE' : 'FALSE';
+        case 'str':
+        case 'e':
+            return value;
+        default: {
+            if (value === '') return '';
+            
+            const number = parseFloat(value);
+            if (isNaN(number)) return value;
+            
+            if (dateStyles.has(parseInt(cell.attrs.s, 10))) {
+                return excelDateText(number, date1904);
+            }
+            
+            // Hide binary floating point noise (0.1 + 0.2 -> 0.3)
+            return String(Number(number.toPrecision(15)));
+        }
+    }
+}
+
+/**
+ * Zero-based column index from a cell reference ("C12" -> 2)
+ */
+function columnIndex(reference) {
+    const letters = reference.match(/^[A-Z]+/i);
+    if (!letters) return 0;
+    
+    return letters[0].toUpperCase().split('').reduce(
+        (index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0
+    ) - 1;
+}
+
+/**
+ * Check whether a custom number format displays a date or time
+ * Ignores quoted literals, escaped characters and [color]/[$-locale] sections
+ */
+function isDateFormatCode(formatCode) {
+    const stripped = formatCode
+        .replace(/"[^"]*"/g, '')
+        .replace(/\\./g, '')
+        .replace(/\[[^\]]*\]/g, '');
+    
+    return /[dmyhs]/i.test(stripped);
+}
+
+/**
+ * Convert an Excel date serial to an ISO date (with time when present)
+ */
+function excelDateText(serial, date1904) {
+    const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+    const date = new Date(epoch + Math.round(serial * 86400) * 1000);
+    const iso = date.toISOString();
+    
+    return serial % 1 === 0 ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 16)}`;
+}
+
+/**
+ * Read a CSV file as a single sheet named after the file
+ * 
+ * @param {File} file - CSV file
+ * @returns {Promise<Array<Object>>} Sheets ({sheetName, rows: [{rowNumber, cells}]})
+ */
+async function extractCSVSheets(file) {
+    const text = await processTXT(file);
+    const records = parseCSV(text);
+    
+    return [{
+        sheetName: file.name.replace(/\.csv$/i, ''),
+        rows: records.map((cells, index) => ({ rowNumber: index + 1, cells }))
+    }];
+}
+
+/**
+ * Parse CSV text into records (RFC 4180 quoting, embedded newlines allowed)
+ * The delimiter is detected from the first line unless given
+ * 
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Optional field delimiter
+ * @returns {Array<Array<string>>} Records as arrays of field values
+ */
+function parseCSV(text, delimiter = null) {
+    text = text.replace(/^\uFEFF/, '');
+    
+    if (!delimiter) {
+        const firstLine = text.slice(0, text.search(/\r?\n|$/)).replace(/"[^"]*"/g, '');
+        const counts = CSV_DELIMITERS.map(candidate => firstLine.split(candidate).length - 1);
+        delimiter = CSV_DELIMITERS[counts.indexOf(Math.max(...counts))];
+    }
+    
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field.length === 0) {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    if (field.length > 0 || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+    
+    return records;
+}
+
+/**
+ * Turn sheets into text blocks, one per sheet
+ * Each block is "Sheet: name", the header row, then one line per data row
+ * with cells joined by " | ". Empty rows are dropped and cell line breaks
+ * become spaces so that every row stays on exactly one line.
+ * 
+ * @param {Array<Object>} sheets - Sheets from extractXLSXSheets/extractCSVSheets
+ * @returns {Array<Object>} Blocks ({text, sheetName, headerRow, rowNumbers})
+ */
+function buildSheetBlocks(sheets) {
+    const blocks = [];
+    
+    sheets.forEach(sheet => {
+        const rows = sheet.rows
+            .map(row => ({
+                rowNumber: row.rowNumber,
+                cells: row.cells.map(cell => String(cell).replace(/\s+/g, ' ').trim())
+            }))
+            .filter(row => row.cells.some(cell => cell.length > 0));
+        
+        if (rows.length === 0) {
+            return;
+        }
+        
+        // Drop trailing columns that are empty in every row
+        const width = Math.max(...rows.map(row => 
+            row.cells.reduce((last, cell, index) => cell.length > 0 ? index + 1 : last, 0)
+        ));
+        const renderRow = (row) => Array.from({ length: width }, (_, i) => row.cells[i] || '').join(' | ');
+        
+        const [header, ...dataRows] = rows;
+        
+        blocks.push({
+            text: [`Sheet: ${sheet.sheetName}`, renderRow(header), ...dataRows.map(renderRow)].join('\n'),
+            sheetName: sheet.sheetName,
+            headerRow: header.rowNumber,
+            rowNumbers: dataRows.map(row => row.rowNumber)
+        });
+    });
+    
+    return blocks;
+}
+
+// ============================================================================
+// EMAIL PROCESSING (.eml and .mbox)
+// ============================================================================
+
+/**
+ * Parse the messages in an email file
+ * 
+ * @param {File} file - .eml file (one message) or .mbox archive (many)
+ * @returns {Promise<Array<Object>>} Messages from InvantiaMail.parseMessage
+ */
+async function extractEmailMessages(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    
+    return getFileType(file) === 'mbox'
+        ? window.InvantiaMail.parseMbox(bytes)
+        : [window.InvantiaMail.parseMessage(bytes)];
+}
+
+/**
+ * Build a processDocument-style result for one email message
+ * The header lines open the text so sender, recipients and subject are searchable
+ * 
+ * @param {Object} message - Parsed message
+ * @param {string} fileName - Name of the .eml/.mbox file it came from
+ * @returns {Object} Result with text, email metadata and file metadata
+ */
+function buildEmailResult(message, fileName) {
+    const attachmentNames = message.attachments.map(attachment => attachment.filename);
+    
+    const headerLines = [
+        ['From', message.from],
+        ['To', message.to],
+        ['Cc', message.cc],
+        ['Date', message.dateHeader],
+        ['Subject', message.subject],
+        ['Attachments', attachmentNames.join(', ')]
+    ]
+        .filter(([, value]) => value)
+        .map(([label, value]) => `${label}: ${value}`);
+    
+    // HTML-only messages are reduced to text the same way as DOCX
+    let body = message.text;
+    if (!body.trim() && message.html) {
+        const root = window.InvantiaMarkup.parseMarkup(message.html, { html: true });
+        body = extractMarkupBlocks(root).map(block => block.text).join('\n\n');
+    }
+    
+    const { text, rawText } = cleanAndNormalize(`${headerLines.join('\n')}\n\n${body}`);
+    
+    return {
+        text: text,
+        rawText: rawText,
+        pages: null,
+        sections: null,
+        sheets: null,
+        turns: null,
+        slides: null,
+        email: {
+            from: message.from,
+            to: message.to,
+            cc: message.cc,
+            date: message.date,
+            subject: message.subject,
+            messageId: message.messageId,
+            inReplyTo: message.inReplyTo,
+            attachments: attachmentNames
+        },
+        metadata: {
+            fileName: fileName,
+            fileType: 'eml',
+            fileSize: message.size,
+            processedDate: new Date().toISOString(),
+            characterCount: text.length,
+            wordCount: countWords(text),
+            pageCount: null,
+            sheetCount: null,
+            slideCount: null,
+            removedBoilerplate: []
+        }
+    };
+}
+
+/**
+ * Save every message in an email file as its own document
+ * Attachments of a supported type are processed as child documents
+ * linked to their message through parentDocumentId. Messages that are
+ * already stored are skipped.
+ * 
+ * @param {File} file - .eml or .mbox file
+ * @param {Function} progressCallback - Progress callback
+ * @param {Function} statusCallback - Status message callback
+ * @param {Object} options - Processing settings (see processAndSaveDocument)
+ * @returns {Promise<Array<number>>} Document IDs of the messages
+ */
+async function processAndSaveEmailFile(file, progressCallback = null, statusCallback = null, options = {}) {
+    statusCallback?.(`Reading ${file.name}...`);
+    options.stageCallback?.('extracting');
+    progressCallback?.(5);
+    
+    const messages = await extractEmailMessages(file);
+    if (messages.length === 0) {
+        throw new Error(`No email messages found in ${file.name}`);
+    }
+    
+    const docIds = [];
+    const duplicates = [];
+    
+    for (let i = 0; i < messages.length; i++) {
+        options.signal?.throwIfAborted();
+        
+        const message = messages[i];
+        const result = buildEmailResult(message, file.name);
+        const name = message.subject || (messages.length > 1 ? `${file.name} #${i + 1}` : file.name);
+        
+        if (messages.length > 1) {
+            statusCallback?.(`Message ${i + 1} of ${messages.length}: ${name}`);
+        }
+        
+        let docId;
+        try {
+            docId = await saveProcessedDocument(name, result, (percent) => {
+                // Spread progress across the messages in the file
+                progressCallback?.(Math.round(((i + percent / 100) / messages.length) * 100));
+            }, statusCallback, options);
+        } catch (error) {
+            if (error.name !== 'DuplicateDocumentError') throw error;
+            
+            // Re-imported mailboxes keep their existing messages (and attachments)
+            console.log(`Skipping message "${name}": ${error.message}`);
+            duplicates.push(error);
+            continue;
+        }
+        docIds.push(docId);
+        
+        for (const attachment of message.attachments) {
+            const attachmentFile = new File([attachment.data], attachment.filename, { type: attachment.contentType });
+            
+            if (!isFileTypeSupported(attachmentFile)) {
+                console.warn(`Skipping unsupported attachment ${attachment.filename} in "${name}"`);
+                continue;
+            }
+            
+            try {
+                statusCallback?.(`Processing attachment ${attachment.filename}...`);
+                await processAndSaveDocument(attachmentFile, null, null, {
+                    ...options,
+                    parentDocumentId: docId,
+                    emailContext: result.email
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                
+                // A broken attachment should not lose the message itself
+                console.error(`Error processing attachment ${attachment.filename}:`, error);
+            }
+        }
+    }
+    
+    // Nothing new in the file at all: report it like any other duplicate upload
+    if (docIds.length === 0 && duplicates.length > 0) {
+        throw duplicates[0];
+    }
+    
+    return docIds;
+}
+
+// ============================================================================
+// ARCHIVE PROCESSING (.zip data rooms)
+// ============================================================================
+
+// Archive entries that are operating system clutter rather than documents
+const ARCHIVE_IGNORED_PATTERNS = [
+    /^__MACOSX\//,
+    /(^|\/)\.[^/]*$/,           // Hidden files (.DS_Store, ._resource forks)
+    /(^|\/)Thumbs\.db$/i,
+    /(^|\/)desktop\.ini$/i
+];
+
+/**
+ * Check whether a path inside an archive or uploaded folder is a system file
+ * (resource forks, thumbnails) rather than a document
+ * 
+ * @param {string} path - Relative path
+ * @returns {boolean} True if the file should be ignored
+ */
+function isIgnoredPath(path) {
+    return ARCHIVE_IGNORED_PATTERNS.some(pattern => pattern.test(path));
+}
+
+/**
+ * Process every supported file in a ZIP archive
+ * A collection named after the archive is created and every document is
+ * saved into it with its folder path. Nested archives are unpacked in place.
+ * Problems are collected in the report rather than thrown, so one bad file
+ * does not stop the rest of the data room.
+ * 
+ * @param {File} file - ZIP file
+ * @param {Function} progressCallback - Progress callback
+ * @param {Function} statusCallback - Status message callback
+ * @param {Object} options - Processing settings (see processAndSaveDocument)
+ * @returns {Promise<Object>} Report {archiveName, collectionId, documentIds, skipped: [{path, reason}], failed: [{path, error}]}
+ */
+async function processAndSaveZipArchive(file, progressCallback = null, statusCallback = null, options = {}) {
+    statusCallback?.(`Opening ${file.name}...`);
+    options.stageCallback?.('extracting');
+    
+    const zip = await window.InvantiaZip.openZip(file);
+    
+    options = await resolveCollectionOption(options);
+    const collectionId = options.collectionId || await getArchiveCollectionId(file.name);
+    
+    // An archive inside an uploaded folder keeps its place in the folder tree
+    const prefix = options.folderPath ? `${options.folderPath}/${file.name}/` : '';
+    
+    const report = {
+        archiveName: file.name,
+        collectionId: collectionId,
+        documentIds: [],
+        skipped: [],
+        failed: []
+    };
+    
+    await saveArchiveEntries(zip, prefix, report, progressCallback, statusCallback, { ...options, collectionId });
+    
+    console.log(`✓ Unpacked ${file.name}: ${report.documentIds.length} documents, ` +
+        `${report.skipped.length} skipped, ${report.failed.length} failed`);
+    
+    return report;
+}
+
+/**
+ * Find or create the collection named after an archive
+ * Collection names are unique, so a re-uploaded (or retried) archive
+ * goes back into the collection it created the first time
+ * 
+ * @param {string} archiveName - ZIP file name
+ * @returns {Promise<number>} Collection ID
+ */
+async function getArchiveCollectionId(archiveName) {
+    return findOrCreateCollection(archiveName.replace(/\.zip$/i, ''), `Created from ${archiveName}`);
+}
+
+/**
+ * Find a collection by name, creating it if it does not exist yet
+ * 
+ * @param {string} name - Collection name
+ * @param {string} description - Description for a new collection
+ * @returns {Promise<number>} Collection ID
+ */
+async function findOrCreateCollection(name, description) {
+    const collections = await window.InvantiaDB.getAllCollections();
+    const existing = collections.find(collection => collection.name === name);
+    
+    if (existing) {
+        return existing.id;
+    }
+    
+    return window.InvantiaDB.createCollection({
+        name: name,
+        description: description
+    });
+}
+
+/**
+ * Turn options.collectionName into options.collectionId (see processAndSaveDocument)
+ * 
+ * @param {Object} options - Processing settings
+ * @returns {Promise<Object>} Settings with the collectionId filled in
+ */
+async function resolveCollectionOption(options) {
+    if (options.collectionId || !options.collectionName) {
+        return options;
+    }
+    
+    const collectionId = await findOrCreateCollection(options.collectionName, `Created from folder ${options.collectionName}`);
+    return { ...options, collectionId };
+}
+
+/**
+ * Save the entries of an open archive, recording results in the report
+ * 
+ * @param {Object} zip - Archive from InvantiaZip.openZip
+ * @param {string} prefix - Path of the archive inside its parent archive ('' at the top)
+ * @param {Object} report - Report being filled in (see processAndSaveZipArchive)
+ * @param {Function} progressCallback - Progress callback
+ * @param {Function} statusCallback - Status message callback
+ * @param {Object} options - Processing settings, including the collectionId
+ */
+async function saveArchiveEntries(zip, prefix, report, progressCallback, statusCallback, options) {
+    const entries = zip.entries.filter(entry => 
+        !entry.isDirectory && !isIgnoredPath(entry.name)
+    );
+    
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        const path = prefix + entry.name;
+        const segments = path.split('/');
+        const fileName = segments.pop();
+        const fileInfo = { name: fileName, type: '' };
+        
+        progressCallback?.(Math.round((i / entries.length) * 100));
+        options.signal?.throwIfAborted();
+        
+        if (!isFileTypeSupported(fileInfo)) {
+            report.skipped.push({ path, reason: 'Unsupported file type' });
+            continue;
+        }
+        
+        if (entry.encrypted) {
+            report.skipped.push({ path, reason: 'Encrypted in the archive' });
+            continue;
+        }
+        
+        try {
+            statusCallback?.(`${path} (${i + 1}/${entries.length})`);
+            const bytes = await zip.readBytes(entry.name);
+            
+            if (getFileType(fileInfo) === 'zip') {
+                const nested = await window.InvantiaZip.openZip(bytes);
+                await saveArchiveEntries(nested, `${path}/`, report, null, statusCallback, options);
+                continue;
+            }
+            
+            const entryFile = new File([bytes], fileName, { lastModified: entry.lastModified.getTime() });
+            const docId = await processAndSaveDocument(entryFile, null, null, {
+                ...options,
+                folderPath: segments.join('/')
+            });
+            report.documentIds.push(docId);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            
+            if (error.name === 'DuplicateDocumentError') {
+                report.skipped.push({ path, reason: error.message });
+                continue;
+            }
             
-        } catch (error) {
-            console.error('Error processing PDF:', error);
-            reject(error);
+            console.error(`Error processing ${path}:`, error);
+            report.failed.push({ path, error: error.message });
         }
-    });
+    }
+    
+    progressCallback?.(100);
 }
 
 // ============================================================================
-// DOCX PROCESSING (using mammoth.js)
+// TRANSCRIPT PROCESSING (SRT, VTT and speaker-labeled TXT)
 // ============================================================================
 
 /**
- * Extract text from DOCX file
- * Uses mammoth.js library (must be loaded in HTML)
+ * Build one block per speaker turn, opened by its "[00:14:32] Witness:" label
+ * so every chunk cites the moment and the speaker
  * 
- * @param {File} file - DOCX file
- * @returns {Promise<string>} Extracted text
+ * @param {Array<Object>} turns - Turns from InvantiaTranscript ({speaker, startTime, endTime, text})
+ * @returns {Array<Object>} Blocks for assembleBlocks ({text, label, speaker, startTime, endTime})
  */
-async function processDOCX(file) {
-    return new Promise(async (resolve, reject) => {
-        try {
-            // Check if mammoth.js is loaded
-            if (typeof mammoth === 'undefined') {
-                reject(new Error('mammoth.js library not loaded'));
-                return;
-            }
-            
-            // Read file as ArrayBuffer
-            const arrayBuffer = await file.arrayBuffer();
-            
-            // Extract text using mammoth
-            const result = await mammoth.extractRawText({ arrayBuffer });
-            
-            resolve(result.value);
-            
-        } catch (error) {
-            console.error('Error processing DOCX:', error);
-            reject(error);
-        }
+function buildTranscriptBlocks(turns) {
+    const { formatTimestamp } = window.InvantiaTranscript;
+    
+    return turns.map(turn => {
+        const parts = [];
+        if (turn.startTime !== null) parts.push(`[${formatTimestamp(turn.startTime)}]`);
+        if (turn.speaker) parts.push(`${turn.speaker}:`);
+        
+        // Normalized up front so the label matches the start of the assembled turn text
+        const label = normalizeText(parts.join(' '));
+        
+        return {
+            text: label ? `${label} ${turn.text}` : turn.text,
+            label: label,
+            speaker: turn.speaker,
+            startTime: turn.startTime,
+            endTime: turn.endTime
+        };
     });
 }
 
@@ -181,9 +2153,16 @@ async function processTXT(file) {
  * @param {File} file - File to process
  * @param {Function} progressCallback - Optional progress callback
  * @param {Function} statusCallback - Optional status message callback
- * @returns {Promise<Object>} Result object with text and metadata
+ * @param {Object} options - Optional settings
+ * @param {string} options.pdfTextMode - PDF reconstruction mode ('layout' or 'simple')
+ * @param {Array<string>} options.passwords - Passwords to try on encrypted PDFs (kept in memory only)
+ * @param {AbortSignal} options.signal - Optional signal that cancels processing
+ * @returns {Promise<Object>} Result object with text, page offsets (PDF), heading sections
+ *   (DOCX, ODT, Markdown, HTML), sheets (XLSX/CSV), slides (PPTX), speaker turns (SRT, VTT,
+ *   transcript TXT), file properties (PDF, Office, ODT, Markdown, HTML), missing text layer
+ *   flag (PDF) and metadata
  */
-async function processDocument(file, progressCallback = null, statusCallback = null) {
+async function processDocument(file, progressCallback = null, statusCallback = null, options = {}) {
     return new Promise(async (resolve, reject) => {
         try {
             // Validate file type
@@ -194,35 +2173,154 @@ async function processDocument(file, progressCallback = null, statusCallback = n
             
             const fileType = getFileType(file);
             let text = '';
+            let pages = null;
+            let sections = null;
+            let sheets = null;
+            let turns = null;
+            let slides = null;
+            let properties = null;
+            let textLayer = null;
+            let rawText = null;
+            let removedBoilerplate = [];
             
             // Process based on file type
             statusCallback?.(`Processing ${fileType.toUpperCase()}...`);
             
             if (fileType === 'pdf') {
-                text = await processPDF(file, progressCallback);
+                const pdf = await extractPDF(file, progressCallback, {
+                    textMode: options.pdfTextMode,
+                    signal: options.signal,
+                    passwords: options.passwords
+                });
+                const pdfPages = pdf.pages;
+                properties = pdf.properties;
+                
+                // Drop letterheads, page numbers and legends repeated on every page
+                statusCallback?.('Removing headers and footers...');
+                const stripped = removeRepeatedPageLines(pdfPages);
+                removedBoilerplate = stripped.removed;
+                
+                // Scans come back (nearly) empty - flag them so they are not silently unsearchable
+                textLayer = detectMissingTextLayer(stripped.pages);
+                if (textLayer) {
+                    console.warn(`${file.name}: no text layer on ${textLayer.pagesWithoutText.length} of ${textLayer.pageCount} page(s) - needs OCR`);
+                    statusCallback?.(`No text layer on ${textLayer.pagesWithoutText.length} page(s) - needs OCR`);
+                }
+                
+                // Clean each page separately so page offsets match the final text
+                statusCallback?.('Cleaning text...');
+                const assembled = assembleBlocks(stripped.pages);
+                text = assembled.text;
+                rawText = assembled.rawText;
+                pages = assembled.spans;
             } else if (fileType === 'docx') {
-                text = await processDOCX(file);
+                const docxBlocks = await extractDOCXBlocks(file);
+                properties = await extractOfficeProperties(file);
+                
+                statusCallback?.('Cleaning text...');
+                const assembled = assembleBlocks(docxBlocks);
+                text = assembled.text;
+                rawText = assembled.rawText;
+                sections = buildSections(assembled.spans);
+            } else if (fileType === 'odt') {
+                const odtBlocks = await extractODTBlocks(file);
+                properties = await extractODFProperties(file);
+                
+                statusCallback?.('Cleaning text...');
+                const assembled = assembleBlocks(odtBlocks);
+                text = assembled.text;
+                rawText = assembled.rawText;
+                sections = buildSections(assembled.spans);
+            } else if (fileType === 'pptx') {
+                const presentationSlides = await extractPPTXSlides(file);
+                properties = await extractOfficeProperties(file);
+                
+                // One block per slide, speaker notes after the slide text
+                statusCallback?.('Cleaning text...');
+                const assembled = assembleBlocks(buildSlideBlocks(presentationSlides), getNormalizationConfig(true));
+                text = assembled.text;
+                rawText = assembled.rawText;
+                slides = assembled.spans;
+            } else if (fileType === 'xlsx' || fileType === 'csv') {
+                const workbookSheets = fileType === 'xlsx'
+                    ? await extractXLSXSheets(file)
+                    : await extractCSVSheets(file);
+                if (fileType === 'xlsx') {
+                    properties = await extractOfficeProperties(file);
+                }
+                
+                // One block per sheet, one line per row
+                const assembled = assembleBlocks(buildSheetBlocks(workbookSheets), getNormalizationConfig(true));
+                text = assembled.text;
+                rawText = assembled.rawText;
+                sheets = assembled.spans;
+            } else if (fileType === 'eml' || fileType === 'mbox' || fileType === 'zip') {
+                reject(new Error(`${fileType.toUpperCase()} files expand into several documents - use processAndSaveDocument`));
+                return;
+            } else if (fileType === 'md' || fileType === 'html') {
+                const markup = fileType === 'md'
+                    ? await extractMarkdownDocument(file)
+                    : await extractHTMLDocument(file);
+                properties = markup.properties;
+                
+                statusCallback?.('Cleaning text...');
+                const assembled = assembleBlocks(markup.blocks);
+                text = assembled.text;
+                rawText = assembled.rawText;
+                sections = buildSections(assembled.spans);
+            } else if (fileType === 'srt' || fileType === 'vtt') {
+                const subtitleTurns = window.InvantiaTranscript.parseSubtitles(await processTXT(file));
+                
+                statusCallback?.('Cleaning text...');
+                const assembled = assembleBlocks(buildTranscriptBlocks(subtitleTurns), getNormalizationConfig(true));
+                text = assembled.text;
+                rawText = assembled.rawText;
+                turns = assembled.spans;
             } else if (fileType === 'txt') {
                 text = await processTXT(file);
+                
+                // Deposition and meeting transcripts are kept as speaker turns
+                if (window.InvantiaTranscript.isSpeakerTranscript(text)) {
+                    statusCallback?.('Cleaning text...');
+                    const speakerTurns = window.InvantiaTranscript.parseSpeakerText(text);
+                    const assembled = assembleBlocks(buildTranscriptBlocks(speakerTurns), getNormalizationConfig(true));
+                    text = assembled.text;
+                    rawText = assembled.rawText;
+                    turns = assembled.spans;
+                }
             } else {
                 reject(new Error(`Unknown file type: ${fileType}`));
                 return;
             }
             
-            // Clean up text
-            statusCallback?.('Cleaning text...');
-            text = cleanText(text);
+            // Clean up text (structured formats were cleaned block by block)
+            if (!pages && !sections && !sheets && !turns && !slides) {
+                statusCallback?.('Cleaning text...');
+                ({ text, rawText } = cleanAndNormalize(text));
+            }
             
             // Return result with metadata
             resolve({
                 text: text,
+                rawText: rawText,
+                pages: pages,
+                sections: sections,
+                sheets: sheets,
+                turns: turns,
+                slides: slides,
+                properties: properties,
+                textLayer: textLayer,
                 metadata: {
                     fileName: file.name,
                     fileType: fileType,
                     fileSize: file.size,
                     processedDate: new Date().toISOString(),
                     characterCount: text.length,
-                    wordCount: countWords(text)
+                    wordCount: countWords(text),
+                    pageCount: pages ? pages.length : null,
+                    sheetCount: sheets ? sheets.length : null,
+                    slideCount: slides ? slides.length : null,
+                    removedBoilerplate: removedBoilerplate
                 }
             });
             
@@ -236,62 +2334,143 @@ async function processDocument(file, progressCallback = null, statusCallback = n
 /**
  * Process document and save to IndexedDB with vectors (Phase 2)
  * Complete workflow: extract text → chunk → save → build vectors
+ * Email files (.eml, .mbox) are expanded into one document per message,
+ * ZIP archives into one document per supported entry
  * 
  * @param {File} file - File to process
  * @param {Function} progressCallback - Progress callback
  * @param {Function} statusCallback - Status message callback
- * @returns {Promise<number>} Document ID
+ * @param {Object} options - Optional processing settings (see processDocument)
+ * @param {number} options.parentDocumentId - Document this file belongs to (e.g. the email it was attached to)
+ * @param {Object} options.emailContext - Email metadata ({from, date}) inherited by attachment chunks
+ * @param {number} options.collectionId - Collection to file the chunks under
+ * @param {string} options.collectionName - Collection to file the chunks under by name, created if
+ *   missing (folder uploads, where the collection may not exist yet when the file is queued)
+ * @param {string} options.folderPath - Folder the file came from (e.g. inside a ZIP archive or an uploaded folder)
+ * @param {boolean} options.keepOriginal - Store the original file so the document can be reprocessed later
+ * @param {string} options.chunkingProfile - Chunking profile ID (see InvantiaConfig.CHUNKING_PROFILES);
+ *   defaults to the profile of the collection, then the standard profile
+ * @param {number} options.chunkOverlap - Characters each chunk repeats from the one before it
+ *   (e.g. InvantiaConfig.CHUNK_OVERLAP); sentence chunking only, none when omitted
+ * @param {AbortSignal} options.signal - Cancels processing; a partly saved document is removed again
+ * @param {Function} options.stageCallback - Called with (stage, documentId) as processing moves through
+ *   'extracting', 'chunking' and 'vectorizing'; documentId is passed once the document is saved
+ * @returns {Promise<number>} Document ID (the first message or archive entry for container files)
  */
-async function processAndSaveDocument(file, progressCallback = null, statusCallback = null) {
+async function processAndSaveDocument(file, progressCallback = null, statusCallback = null, options = {}) {
     try {
+        options = await resolveCollectionOption(options);
+        
+        // Email files hold any number of messages, each saved separately
+        const fileType = getFileType(file);
+        if (fileType === 'eml' || fileType === 'mbox') {
+            const docIds = await processAndSaveEmailFile(file, progressCallback, statusCallback, options);
+            return docIds[0];
+        }
+        
+        if (fileType === 'zip') {
+            const report = await processAndSaveZipArchive(file, progressCallback, statusCallback, options);
+            return report.documentIds[0];
+        }
+        
         // Step 1: Extract text
         statusCallback?.(`Processing ${file.name}...`);
+        options.stageCallback?.('extracting');
         progressCallback?.(10);
         
         const result = await processDocument(file, (percent) => {
             // Scale progress: 10-50% for text extraction
             progressCallback?.(10 + Math.round(percent * 0.4));
-        }, statusCallback);
+        }, statusCallback, options);
         
+        // The original file is hashed for duplicate detection and versioning
+        return await saveProcessedDocument(file.name, { ...result, file }, progressCallback, statusCallback, options);
+        
+    } catch (error) {
+        console.error(`Error processing ${file.name}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Chunk, save and vectorize an extracted document (steps 2-5 of processAndSaveDocument)
+ * 
+ * @param {string} name - Document name
+ * @param {Object} result - Result from processDocument or buildEmailResult (result.file: optional original file)
+ * @param {Function} progressCallback - Progress callback
+ * @param {Function} statusCallback - Status message callback
+ * @param {Object} options - Processing settings (see processAndSaveDocument)
+ * @returns {Promise<number>} Document ID
+ */
+async function saveProcessedDocument(name, result, progressCallback = null, statusCallback = null, options = {}) {
+    let docId = null;
+    
+    try {
         // Step 2: Create chunks
+        options.signal?.throwIfAborted();
         statusCallback?.('Creating chunks...');
+        options.stageCallback?.('chunking');
         progressCallback?.(60);
         
-        const chunks = window.InvantiaChunker.createChunks(result.text);
-        console.log(`Created ${chunks.length} chunks from ${file.name}`);
+        const profile = await resolveChunkingProfile(options.chunkingProfile, options.collectionId, options.chunkOverlap);
+        const chunks = createResultChunks(result, profile);
+        console.log(`Created ${chunks.length} chunks from ${name}`);
+        
+        // Emails (and their attachments) cite sender and date next to each chunk
+        const email = result.email || options.emailContext || null;
         
         // Step 3: Save document
+        options.signal?.throwIfAborted();
         statusCallback?.('Saving document...');
         progressCallback?.(70);
         
-        const docId = await window.InvantiaDB.addDocument({
-            name: file.name,
+        docId = await window.InvantiaDB.addDocument({
+            name: name,
             content: result.text,
+            rawContent: result.rawText !== result.text ? result.rawText : null,
             fileType: result.metadata.fileType,
-            size: result.metadata.fileSize
+            size: result.metadata.fileSize,
+            pages: result.pages,
+            sections: result.sections,
+            sheets: result.sheets,
+            turns: result.turns,
+            slides: result.slides,
+            email: result.email,
+            properties: result.properties,
+            textLayer: result.textLayer,
+            parentDocumentId: options.parentDocumentId,
+            folderPath: options.folderPath,
+            removedBoilerplate: result.metadata.removedBoilerplate,
+            chunkingProfile: profile.id,
+            chunkOverlap: options.chunkOverlap || null,
+            file: result.file
         });
         
         console.log(`Document saved with ID: ${docId}`);
+        options.stageCallback?.('chunking', docId);
+        
+        // Kept on request, so the document can be reprocessed when extraction improves
+        if (options.keepOriginal && result.file) {
+            await window.InvantiaDB.addOriginal(docId, result.file);
+        }
         
         // Step 4: Save chunks
         statusCallback?.('Saving chunks...');
         progressCallback?.(80);
         
         for (const chunk of chunks) {
-            await window.InvantiaDB.addChunk({
-                documentId: docId,
-                chunkNumber: chunk.chunkNumber,
-                content: chunk.content,
-                charCount: chunk.charCount
-            });
+            options.signal?.throwIfAborted();
+            await window.InvantiaDB.addChunk(buildChunkRecord(chunk, docId, options.collectionId, email));
         }
         
         console.log(`Saved ${chunks.length} chunks for document ${docId}`);
         
         // Step 5: Build vectors (Phase 2 - Semantic Search)
+        options.signal?.throwIfAborted();
         try {
             if (window.InvantiaVectorizer) {
                 statusCallback?.('Building semantic index...');
+                options.stageCallback?.('vectorizing', docId);
                 progressCallback?.(90);
                 
                 console.log(`Building vectors for document ${docId}...`);
@@ -311,19 +2490,304 @@ async function processAndSaveDocument(file, progressCallback = null, statusCallb
         }
         
         // Complete
+        options.signal?.throwIfAborted();
         statusCallback?.('Complete!');
         progressCallback?.(100);
         
-        console.log(`✓ Processed: ${file.name} (${chunks.length} chunks)`);
+        console.log(`✓ Processed: ${name} (${chunks.length} chunks)`);
         
         return docId;
         
     } catch (error) {
-        console.error(`Error processing ${file.name}:`, error);
+        // Don't leave a half-saved document behind when cancelled
+        if (docId !== null && error.name === 'AbortError') {
+            await window.InvantiaDB.deleteDocument(docId).catch(() => {});
+            console.log(`Cancelled ${name} - removed partial document ${docId}`);
+            throw error;
+        }
+        
+        console.error(`Error saving ${name}:`, error);
         throw error;
     }
 }
 
+/**
+ * Split an extracted document into chunks along its structure
+ * Spreadsheets are chunked by whole rows, transcripts by speaker turns,
+ * presentations by slides, everything else by the profile's strategy
+ * (sentences, or clauses and headings)
+ * 
+ * @param {Object} result - Result from processDocument or buildEmailResult
+ * @param {Object} profile - Chunking profile (see InvantiaConfig.CHUNKING_PROFILES); defaults when omitted
+ * @returns {Array<Object>} Chunks annotated with pages and heading paths
+ */
+function createResultChunks(result, profile = null) {
+    // Rows, turns and slides are sized in characters
+    const targetSize = profile && profile.unit !== 'tokens' ? profile.targetSize : undefined;
+    
+    let chunks;
+    if (result.sheets) {
+        chunks = window.InvantiaChunker.createRowChunks(result.text, result.sheets, targetSize);
+    } else if (result.slides) {
+        chunks = window.InvantiaChunker.createSlideChunks(result.text, result.slides, targetSize);
+    } else if (result.turns) {
+        chunks = window.InvantiaChunker.createTurnChunks(result.text, result.turns, targetSize);
+    } else {
+        chunks = window.InvantiaChunker.createProfileChunks(result.text, profile || {}, result.sections);
+    }
+    
+    annotateChunkPages(chunks, result.pages);
+    annotateChunkSections(chunks, result.sections);
+    annotateChunkRawContent(chunks, result.text, result.rawText);
+    return chunks;
+}
+
+/**
+ * Build the stored form of a chunk (see InvantiaDB.addChunk)
+ * 
+ * @param {Object} chunk - Chunk from createResultChunks
+ * @param {number} documentId - Document ID
+ * @param {number} collectionId - Collection ID (optional)
+ * @param {Object} email - Email the chunk came from or was attached to ({from, date}, optional)
+ * @returns {Object} Chunk record
+ */
+function buildChunkRecord(chunk, documentId, collectionId, email) {
+    return {
+        documentId: documentId,
+        collectionId: collectionId,
+        chunkNumber: chunk.chunkNumber,
+        content: chunk.content,
+        charCount: chunk.charCount,
+        pageStart: chunk.pageStart,
+        pageEnd: chunk.pageEnd,
+        headingPath: chunk.headingPath,
+        sheetName: chunk.sheetName,
+        rowStart: chunk.rowStart,
+        rowEnd: chunk.rowEnd,
+        speakers: chunk.speakers,
+        timeStart: chunk.timeStart,
+        timeEnd: chunk.timeEnd,
+        slideStart: chunk.slideStart,
+        slideEnd: chunk.slideEnd,
+        clauseStart: chunk.clauseStart,
+        clauseEnd: chunk.clauseEnd,
+        sentenceStart: chunk.sentenceStart,
+        sentenceEnd: chunk.sentenceEnd,
+        overlapChars: chunk.overlapChars,
+        rawContent: chunk.rawContent,
+        rawOverlapChars: chunk.rawOverlapChars,
+        sender: email?.from,
+        sentDate: email?.date
+    };
+}
+
+// ============================================================================
+// REPROCESSING (from stored original files)
+// ============================================================================
+
+/**
+ * Run extraction, chunking and vectorization of a stored document again from
+ * its original file (see the keepOriginal option of processAndSaveDocument)
+ * The new text, chunks and vectors replace the old ones in one transaction,
+ * so a failed or cancelled run leaves the document as it was.
+ * 
+ * @param {File} file - Original file from InvantiaDB.getOriginal
+ * @param {Function} progressCallback - Progress callback
+ * @param {Function} statusCallback - Status message callback
+ * @param {Object} options - Processing settings (see processDocument)
+ * @param {number} options.documentId - Document to reprocess
+ * @param {string} options.chunkingProfile - Chunking profile ID (defaults to the one the document was made with)
+ * @param {number} options.chunkOverlap - Chunk overlap in characters (defaults to the document's)
+ * @param {Function} options.stageCallback - Called with the stage as processing moves on
+ *   (never with a document ID: the document exists before and after the run)
+ * @returns {Promise<number>} Document ID
+ */
+async function reprocessDocument(file, progressCallback = null, statusCallback = null, options = {}) {
+    const documentId = options.documentId;
+    const doc = await window.InvantiaDB.getDocument(documentId);
+    if (!doc) {
+        throw new Error(`Document ${documentId} no longer exists`);
+    }
+    
+    // Step 1: Extract text
+    statusCallback?.(`Reprocessing ${doc.name}...`);
+    options.stageCallback?.('extracting');
+    progressCallback?.(10);
+    
+    const result = await processDocument(file, (percent) => {
+        progressCallback?.(10 + Math.round(percent * 0.4));
+    }, statusCallback, options);
+    
+    // Step 2: Create chunks, keeping the collection and email context of the old ones
+    options.signal?.throwIfAborted();
+    statusCallback?.('Creating chunks...');
+    options.stageCallback?.('chunking');
+    progressCallback?.(60);
+    
+    const context = await readChunkContext(doc);
+    const chunkOverlap = options.chunkOverlap ?? doc.chunkOverlap;
+    const profile = await resolveChunkingProfile(options.chunkingProfile || doc.chunkingProfile, context.collectionId, chunkOverlap);
+    const chunks = createResultChunks(result, profile);
+    const records = chunks.map(chunk => buildChunkRecord(chunk, documentId, context.collectionId, context.email));
+    
+    // Step 3: Build vectors
+    let vectorData = null;
+    options.signal?.throwIfAborted();
+    try {
+        if (window.InvantiaVectorizer) {
+            statusCallback?.('Building semantic index...');
+            options.stageCallback?.('vectorizing');
+            progressCallback?.(80);
+            vectorData = window.InvantiaVectorizer.buildCoOccurrenceMatrix(result.text);
+        }
+    } catch (vectorError) {
+        // Stale vectors are dropped rather than kept for the old text
+        console.error('Error building vectors:', vectorError);
+    }
+    
+    // Step 4: Swap in the new content
+    options.signal?.throwIfAborted();
+    statusCallback?.('Replacing chunks...');
+    progressCallback?.(90);
+    
+    await window.InvantiaDB.replaceDocumentContent(documentId, {
+        content: result.text,
+        rawContent: result.rawText !== result.text ? result.rawText : null,
+        pages: result.pages,
+        sections: result.sections,
+        sheets: result.sheets,
+        turns: result.turns,
+        slides: result.slides,
+        properties: result.properties,
+        textLayer: result.textLayer,
+        removedBoilerplate: result.metadata.removedBoilerplate,
+        chunkingProfile: profile.id,
+        chunkOverlap: chunkOverlap || null,
+        reprocessedDate: new Date().toISOString()
+    }, records, vectorData);
+    
+    statusCallback?.('Complete!');
+    progressCallback?.(100);
+    console.log(`✓ Reprocessed: ${doc.name} (${chunks.length} chunks)`);
+    
+    return documentId;
+}
+
+/**
+ * Collection and email context of a stored document's chunks, kept when they are rebuilt
+ * 
+ * @param {Object} doc - Stored document
+ * @returns {Promise<Object>} {collectionId, email}
+ */
+async function readChunkContext(doc) {
+    const [previous] = await window.InvantiaDB.getChunksByDocument(doc.id);
+    
+    return {
+        collectionId: previous?.collectionId || null,
+        email: doc.email || (previous?.sender ? { from: previous.sender, date: previous.sentDate } : null)
+    };
+}
+
+// ============================================================================
+// CHUNKING PROFILES AND RE-CHUNKING (from stored content)
+// ============================================================================
+
+/**
+ * Chunking profile for a document: the one given, else its collection's,
+ * else the standard profile
+ * 
+ * @param {string} profileId - Profile ID (optional)
+ * @param {number} collectionId - Collection the document is filed under (optional)
+ * @param {number} chunkOverlap - Overlap in characters replacing the profile's (optional)
+ * @returns {Promise<Object>} Profile (see InvantiaConfig.CHUNKING_PROFILES)
+ */
+async function resolveChunkingProfile(profileId, collectionId, chunkOverlap = null) {
+    if (!profileId && collectionId) {
+        const collection = await window.InvantiaDB.getCollection(collectionId);
+        profileId = collection?.chunkingProfile;
+    }
+    
+    const profile = window.InvantiaConfig.getChunkingProfile(profileId);
+    return chunkOverlap > 0 ? { ...profile, overlap: chunkOverlap } : profile;
+}
+
+/**
+ * Rebuild a document's chunks and vectors from its stored text with another
+ * chunking profile - no upload needed. The stored pages, sections, sheets,
+ * turns and slides stand in for a fresh extraction; the new chunks replace
+ * the old ones in one transaction. The document's chunk overlap is kept.
+ * 
+ * @param {number} documentId - Document ID
+ * @param {string} profileId - Chunking profile ID (defaults to the document's own, then its collection's)
+ * @param {Function} statusCallback - Status message callback
+ * @returns {Promise<number>} Number of chunks
+ */
+async function rechunkDocument(documentId, profileId = null, statusCallback = null) {
+    const doc = await window.InvantiaDB.getDocument(documentId);
+    if (!doc) {
+        throw new Error(`Document ${documentId} no longer exists`);
+    }
+    
+    statusCallback?.(`Re-chunking ${doc.name}...`);
+    
+    const context = await readChunkContext(doc);
+    const profile = await resolveChunkingProfile(profileId || doc.chunkingProfile, context.collectionId, doc.chunkOverlap);
+    const chunks = createResultChunks({
+        text: doc.content,
+        rawText: doc.rawContent,
+        pages: doc.pages,
+        sections: doc.sections,
+        sheets: doc.sheets,
+        turns: doc.turns,
+        slides: doc.slides
+    }, profile);
+    const records = chunks.map(chunk => buildChunkRecord(chunk, documentId, context.collectionId, context.email));
+    
+    let vectorData = null;
+    try {
+        if (window.InvantiaVectorizer) {
+            statusCallback?.('Building semantic index...');
+            vectorData = window.InvantiaVectorizer.buildCoOccurrenceMatrix(doc.content);
+        }
+    } catch (vectorError) {
+        console.error('Error building vectors:', vectorError);
+    }
+    
+    await window.InvantiaDB.replaceDocumentContent(documentId, {
+        chunkingProfile: profile.id,
+        rechunkedDate: new Date().toISOString()
+    }, records, vectorData);
+    
+    console.log(`✓ Re-chunked: ${doc.name} with the ${profile.name} profile (${chunks.length} chunks)`);
+    
+    return chunks.length;
+}
+
+/**
+ * Assign a chunking profile to a collection and re-chunk the documents filed under it
+ * Documents uploaded into the collection later get the profile too, unless
+ * the upload names its own.
+ * 
+ * @param {number} collectionId - Collection ID
+ * @param {string} profileId - Chunking profile ID (null for the standard profile)
+ * @param {Function} statusCallback - Status message callback
+ * @returns {Promise<number>} Number of documents re-chunked
+ */
+async function rechunkCollection(collectionId, profileId, statusCallback = null) {
+    await window.InvantiaDB.updateCollection(collectionId, { chunkingProfile: profileId || null });
+    
+    const profile = window.InvantiaConfig.getChunkingProfile(profileId);
+    const chunks = await window.InvantiaDB.getChunksByCollection(collectionId);
+    const documentIds = [...new Set(chunks.map(chunk => chunk.documentId))];
+    
+    for (let i = 0; i < documentIds.length; i++) {
+        statusCallback?.(`Re-chunking document ${i + 1} of ${documentIds.length}...`);
+        await rechunkDocument(documentIds[i], profile.id);
+    }
+    
+    return documentIds.length;
+}
+
 // ============================================================================
 // TEXT CLEANING AND UTILITIES
 // ============================================================================
@@ -354,6 +2818,285 @@ function cleanText(text) {
     return text;
 }
 
+/**
+ * Text normalization settings (see InvantiaConfig.TEXT_NORMALIZATION)
+ * Read on each call, since the worker loads config.js after this module
+ * 
+ * @param {boolean} lineStructured - Sheet rows, slide lines or transcript turns:
+ *   each line stands on its own, so words are never rejoined across line breaks
+ * @returns {Object} Normalization steps
+ */
+function getNormalizationConfig(lineStructured = false) {
+    const config = window.InvantiaConfig.TEXT_NORMALIZATION;
+    return lineStructured ? { ...config, dehyphenate: false } : config;
+}
+
+/**
+ * Normalize extracted text for matching (see getNormalizationConfig)
+ * 
+ * @param {string} text - Text
+ * @param {Object} config - Normalization steps (defaults to InvantiaConfig.TEXT_NORMALIZATION)
+ * @returns {string} Normalized text
+ */
+function normalizeText(text, config = getNormalizationConfig()) {
+    if (!config.enabled) {
+        return text;
+    }
+    
+    if (config.unicodeForm) {
+        text = text.normalize(config.unicodeForm);
+    }
+    
+    if (config.dehyphenate) {
+        // Soft hyphens only mark where a word may break
+        text = text.replace(/\u00AD/g, '');
+        
+        // "indemni-\nfication" -> "indemnification" (a capital after the break keeps the hyphen)
+        text = text.replace(/(\p{L})[-\u2010][ \t]*\r?\n[ \t]*(?=\p{Ll})/gu, '$1');
+    }
+    
+    if (config.foldQuotes) {
+        text = text
+            .replace(/[\u2018\u2019\u201A\u201B\u2032]/g, "'")
+            .replace(/[\u201C\u201D\u201E\u201F\u2033]/g, '"');
+    }
+    
+    if (config.foldWhitespace) {
+        text = text
+            .replace(/[\u200B-\u200D\u2060\uFEFF]/g, '')
+            .replace(/[\t\u00A0\u1680\u2000-\u200A\u202F\u205F\u3000]/g, ' ')
+            .replace(/ {2,}/g, ' ');
+    }
+    
+    return text;
+}
+
+/**
+ * Clean text for storage and normalize it for chunking
+ * 
+ * @param {string} text - Extracted text
+ * @param {Object} config - Normalization steps (defaults to InvantiaConfig.TEXT_NORMALIZATION)
+ * @returns {Object} {text, rawText}: normalized text, and the cleaned text before normalization
+ */
+function cleanAndNormalize(text, config = getNormalizationConfig()) {
+    const rawText = cleanText(text);
+    
+    return {
+        text: config.enabled ? cleanText(normalizeText(text, config)) : rawText,
+        rawText: rawText
+    };
+}
+
+/**
+ * Clean and normalize a list of extracted text blocks and join them into one text
+ * Records where each block lands in the joined text so that chunks
+ * can later be traced back to their source (e.g. PDF pages)
+ * Offsets refer to the normalized text; the raw text is joined the same way
+ * 
+ * @param {Array<Object>} blocks - Blocks with a text field plus any source fields
+ * @param {Object} config - Normalization steps (defaults to InvantiaConfig.TEXT_NORMALIZATION)
+ * @returns {Object} {text, rawText, spans} where each span is the block's source fields plus start/end offsets
+ */
+function assembleBlocks(blocks, config = getNormalizationConfig()) {
+    let text = '';
+    let rawText = '';
+    const spans = [];
+    
+    blocks.forEach(block => {
+        const { text: blockText, ...source } = block;
+        const cleaned = cleanAndNormalize(blockText || '', config);
+        
+        // Empty blocks (e.g. blank pages) leave no trace in the text
+        if (cleaned.text.length === 0) {
+            return;
+        }
+        
+        if (text.length > 0) {
+            text += '\n\n';
+            rawText += '\n\n';
+        }
+        
+        spans.push({
+            ...source,
+            start: text.length,
+            end: text.length + cleaned.text.length
+        });
+        
+        text += cleaned.text;
+        rawText += cleaned.rawText;
+    });
+    
+    return { text, rawText, spans };
+}
+
+/**
+ * Attach page ranges to chunks using the page offsets from assembleBlocks
+ * Sets pageStart/pageEnd on each chunk that overlaps at least one page
+ * 
+ * @param {Array<Object>} chunks - Chunks with startOffset/endOffset
+ * @param {Array<Object>} pages - Page spans ({pageNumber, start, end}) or null
+ * @returns {Array<Object>} The same chunks, annotated in place
+ */
+function annotateChunkPages(chunks, pages) {
+    if (!pages || pages.length === 0) {
+        return chunks;
+    }
+    
+    chunks.forEach(chunk => {
+        const covered = pages.filter(page => 
+            page.start < chunk.endOffset && page.end > chunk.startOffset
+        );
+        
+        if (covered.length > 0) {
+            chunk.pageStart = covered[0].pageNumber;
+            chunk.pageEnd = covered[covered.length - 1].pageNumber;
+        }
+    });
+    
+    return chunks;
+}
+
+/**
+ * Attach heading paths to chunks using the sections from buildSections
+ * A chunk that spans several sections takes the one it overlaps most
+ * 
+ * @param {Array<Object>} chunks - Chunks with startOffset/endOffset
+ * @param {Array<Object>} sections - Sections ({headingPath, start, end}) or null
+ * @returns {Array<Object>} The same chunks, annotated in place
+ */
+function annotateChunkSections(chunks, sections) {
+    if (!sections || sections.length === 0) {
+        return chunks;
+    }
+    
+    chunks.forEach(chunk => {
+        let best = null;
+        let bestOverlap = 0;
+        
+        sections.forEach(section => {
+            const overlap = Math.min(section.end, chunk.endOffset) - Math.max(section.start, chunk.startOffset);
+            if (overlap > bestOverlap) {
+                best = section;
+                bestOverlap = overlap;
+            }
+        });
+        
+        if (best) {
+            chunk.headingPath = best.headingPath;
+        }
+    });
+    
+    return chunks;
+}
+
+/**
+ * Map offsets in normalized text back to the raw text it was made from
+ * Walks both texts once: ligatures, composed accents and folded quotes match
+ * by normalizing up to three raw characters; raw whitespace, hyphens and
+ * invisible characters that normalization dropped are skipped.
+ * 
+ * @param {string} text - Normalized text
+ * @param {string} rawText - Raw text (see cleanAndNormalize)
+ * @returns {Object} {starts, ends}: for each normalized character, where the
+ *   raw characters it came from start and end
+ */
+function alignRawOffsets(text, rawText) {
+    const fold = { ...getNormalizationConfig(), enabled: true, dehyphenate: false };
+    const starts = new Int32Array(text.length + 1);
+    const ends = new Int32Array(text.length);
+    let i = 0;
+    let j = 0;
+    
+    // Map the next `length` normalized characters to the next `rawLength` raw ones
+    const place = (length, rawLength) => {
+        for (let k = 0; k < length; k++) {
+            starts[j + k] = i;
+            ends[j + k] = i + rawLength;
+        }
+        j += length;
+        i += rawLength;
+    };
+    
+    while (j < text.length) {
+        if (i >= rawText.length) {
+            place(1, 0);
+            continue;
+        }
+        
+        if (rawText[i] === text[j]) {
+            place(1, 1);
+            continue;
+        }
+        
+        let matched = false;
+        for (let n = 1; n <= 3 && i + n <= rawText.length; n++) {
+            const folded = normalizeText(rawText.slice(i, i + n), fold);
+            if (folded.length > 0 && text.startsWith(folded, j)) {
+                place(folded.length, n);
+                matched = true;
+                break;
+            }
+        }
+        
+        if (matched) {
+            continue;
+        }
+        
+        if (/[\s\u00AD\u200B-\u200D\u2060\uFEFF\u2010-]/.test(rawText[i])) {
+            i++;
+        } else if (/\s/.test(text[j])) {
+            place(1, 0);
+        } else {
+            place(1, 1);
+        }
+    }
+    
+    starts[text.length] = i;
+    return { starts, ends };
+}
+
+/**
+ * Attach the raw text of each chunk, for display (see alignRawOffsets)
+ * Sets rawContent where it differs from the normalized content, and
+ * rawOverlapChars next to overlapChars. Chunks that are not plain slices of
+ * the text (sheet chunks repeat their header row) are left without.
+ * 
+ * @param {Array<Object>} chunks - Chunks with startOffset/endOffset
+ * @param {string} text - Normalized text the chunks were made from
+ * @param {string} rawText - Raw text, or null when normalization changed nothing
+ * @returns {Array<Object>} The same chunks, annotated in place
+ */
+function annotateChunkRawContent(chunks, text, rawText) {
+    if (!rawText || rawText === text) {
+        return chunks;
+    }
+    
+    const offsets = alignRawOffsets(text, rawText);
+    let previousRawEnd = null;
+    
+    chunks.forEach(chunk => {
+        if (chunk.endOffset <= chunk.startOffset ||
+            chunk.content !== text.slice(chunk.startOffset, chunk.endOffset).trim()) {
+            previousRawEnd = null;
+            return;
+        }
+        
+        const slice = rawText.slice(offsets.starts[chunk.startOffset], offsets.ends[chunk.endOffset - 1]);
+        const rawContent = slice.trim();
+        const rawStart = offsets.starts[chunk.startOffset] + slice.length - slice.trimStart().length;
+        
+        if (rawContent !== chunk.content) {
+            chunk.rawContent = rawContent;
+        }
+        if (chunk.overlapChars !== undefined) {
+            chunk.rawOverlapChars = previousRawEnd === null ? 0 : Math.max(0, previousRawEnd - rawStart);
+        }
+        previousRawEnd = rawStart + rawContent.length;
+    });
+    
+    return chunks;
+}
+
 /**
  * Count words in text
  * 
@@ -429,21 +3172,60 @@ window.InvantiaDocProcessor = {
     processDocument,
     processDocuments,
     processAndSaveDocument,  // New in Phase 2
+    processAndSaveEmailFile,
+    processAndSaveZipArchive,
+    reprocessDocument,
+    rechunkDocument,
+    rechunkCollection,
     
     // Individual processors
     processPDF,
-    processDOCX,
+    extractPDF,
+    extractPDFPages,
+    extractPDFProperties,
+    extractOfficeProperties,
+    extractODFProperties,
+    reconstructPageText,
+    removeRepeatedPageLines,
+    detectMissingTextLayer,
+    extractDOCXBlocks,
+    extractMarkupBlocks,
+    extractHTMLDocument,
+    extractMarkdownDocument,
+    extractODTBlocks,
+    extractPPTXSlides,
+    buildSlideBlocks,
+    extractXLSXSheets,
+    extractCSVSheets,
+    parseCSV,
+    buildSheetBlocks,
+    extractEmailMessages,
+    buildEmailResult,
+    buildTranscriptBlocks,
     processTXT,
     
     // Validation
     isFileTypeSupported,
+    isIgnoredPath,
     getFileType,
     
     // Utilities
     cleanText,
+    normalizeText,
+    cleanAndNormalize,
+    assembleBlocks,
+    buildSections,
+    annotateChunkPages,
+    annotateChunkSections,
+    alignRawOffsets,
+    annotateChunkRawContent,
+    createResultChunks,
     countWords,
     estimateReadingTime,
     
     // Constants
-    SUPPORTED_FILE_TYPES
+    SUPPORTED_FILE_TYPES,
+    PDF_TEXT_MODE,
+    PDF_LAYOUT_CONFIG,
+    BOILERPLATE_CONFIG
 };
@@ -1,16 +1,18 @@
 // ~/fastapi_app/static/desktop/indexeddb.js
 //
 // IndexedDB management for Invantia Desktop
-// Handles local browser database for documents, chunks, collections, and vectors
+// Handles local browser database for documents, chunks, collections, vectors, original files, and the ingestion queue
 //
 // Database Schema:
-// - documents: {id, name, description, userDefinedId, content, uploadDate, fileType, size}
-// - chunks: {id, documentId, collectionId, chunkNumber, content, charCount}
-// - collections: {id, name, description, createdDate}
+// - documents: {id, name, description, userDefinedId, content, rawContent, uploadDate, fileType, size, pages, sections, sheets, turns, slides, email, properties, textLayer, parentDocumentId, folderPath, removedBoilerplate, chunkingProfile, chunkOverlap, contentHash, fileHash, versionGroupId, version, isSearchable, reprocessedDate, rechunkedDate}
+// - chunks: {id, documentId, collectionId, chunkNumber, content, charCount, pageStart, pageEnd, headingPath, sheetName, rowStart, rowEnd, speakers, timeStart, timeEnd, slideStart, slideEnd, clauseStart, clauseEnd, sentenceStart, sentenceEnd, overlapChars, rawContent, rawOverlapChars, sender, sentDate}
+// - collections: {id, name, description, createdDate, chunkingProfile}
 // - vectors: {documentId, matrix, termFrequencies, totalTerms, created} [Phase 2]
+// - originals: {documentId, file, fileName, size, storedDate} (only when "keep original files" is on)
+// - ingestQueue: {id, file, fileName, fileSize, method, options, batchId, state, error, attempts, documentIds, report, createdDate, updatedDate}
 
 const DB_NAME = 'InvantiaDesktopDB';
-const DB_VERSION = 2;  // Incremented for vector storage
+const DB_VERSION = 5;  // Incremented for stored original files
 
 let db = null;
 
@@ -20,7 +22,7 @@ let db = null;
 
 /**
  * Initialize IndexedDB database
- * Creates object stores for documents, chunks, collections, and vectors
+ * Creates object stores for documents, chunks, collections, vectors, original files, and the ingestion queue
  * 
  * @returns {Promise<IDBDatabase>} Database instance
  */
@@ -54,6 +56,14 @@ async function initDB() {
                 docStore.createIndex('userDefinedId', 'userDefinedId', { unique: false });
             }
             
+            // Duplicate detection and versioning indexes (added in version 4)
+            const documentStore = event.target.transaction.objectStore('documents');
+            if (!documentStore.indexNames.contains('contentHash')) {
+                documentStore.createIndex('contentHash', 'contentHash', { unique: false });
+                documentStore.createIndex('fileHash', 'fileHash', { unique: false });
+                documentStore.createIndex('versionGroupId', 'versionGroupId', { unique: false });
+            }
+            
             // Chunks store
             if (!db.objectStoreNames.contains('chunks')) {
                 const chunkStore = db.createObjectStore('chunks', { 
@@ -82,6 +92,23 @@ async function initDB() {
                 });
             }
             
+            // Original files store (added in version 5, for reprocessing)
+            if (!db.objectStoreNames.contains('originals')) {
+                db.createObjectStore('originals', { 
+                    keyPath: 'documentId'
+                });
+            }
+            
+            // Ingestion queue store (files waiting for or going through processing)
+            if (!db.objectStoreNames.contains('ingestQueue')) {
+                const queueStore = db.createObjectStore('ingestQueue', { 
+                    keyPath: 'id', 
+                    autoIncrement: true 
+                });
+                queueStore.createIndex('state', 'state', { unique: false });
+                queueStore.createIndex('createdDate', 'createdDate', { unique: false });
+            }
+            
             console.log('IndexedDB object stores created');
         };
     });
@@ -94,28 +121,102 @@ async function initDB() {
 /**
  * Add a document to IndexedDB
  * 
+ * SHA-256 hashes of the text and of the original file are stored with the
+ * document. An exact duplicate of an existing document is rejected with a
+ * DuplicateDocumentError (error.existingDocumentId names the original).
+ * An uploaded file with the name (and folder) of an existing document but
+ * new content is stored as that document's next version; only the newest
+ * version is searchable until another is chosen (see setSearchableVersion).
+ * 
  * @param {Object} document - Document object
  * @param {string} document.name - Document name
  * @param {string} document.description - Optional description
  * @param {string} document.userDefinedId - Optional user-defined ID
- * @param {string} document.content - Full text content (for reference)
+ * @param {string} document.content - Full text content, normalized for matching (chunk offsets refer to it)
+ * @param {string} document.rawContent - Optional text before normalization, for display (null if unchanged)
  * @param {string} document.fileType - File type (pdf, docx, txt)
  * @param {number} document.size - File size in bytes
+ * @param {Array<Object>} document.pages - Optional page offsets ({pageNumber, start, end}) into content
+ * @param {Array<Object>} document.sections - Optional heading sections ({headingPath, start, end}) into content
+ * @param {Array<Object>} document.sheets - Optional spreadsheet sheets ({sheetName, headerRow, rowNumbers, start, end}) into content
+ * @param {Array<Object>} document.turns - Optional transcript speaker turns ({label, speaker, startTime, endTime, start, end}) into content
+ * @param {Array<Object>} document.slides - Optional presentation slides ({label, slideNumber, title, start, end}) into content
+ * @param {Object} document.email - Optional email headers ({from, to, cc, date, subject, messageId, inReplyTo, attachments})
+ * @param {Object} document.properties - Optional file properties ({title, author, subject, keywords, createdDate, modifiedDate, producer, creatorTool, lastModifiedBy, revision})
+ * @param {Object} document.textLayer - Optional scanned-page flag for PDFs ({status: 'missing'|'partial', pagesWithoutText, pageCount})
+ * @param {number} document.parentDocumentId - Optional parent document (e.g. the email an attachment came from)
+ * @param {string} document.folderPath - Optional folder the file came from (e.g. "Financials/2023" inside a ZIP)
+ * @param {Array<Object>} document.removedBoilerplate - Optional headers/footers stripped at ingest ({text, pageCount})
+ * @param {string} document.chunkingProfile - Optional chunking profile the chunks were made with (see InvantiaConfig.CHUNKING_PROFILES)
+ * @param {number} document.chunkOverlap - Optional characters each chunk repeats from the one before it
+ * @param {Blob} document.file - Optional original file; hashed and versioned by name, not stored
+ * @param {string} document.fileHash - Optional SHA-256 of the original file when no file is given (backup import)
  * @returns {Promise<number>} Document ID
  */
 async function addDocument(document) {
+    const content = document.content || '';
+    const contentHash = await computeSHA256(content);
+    const fileHash = document.file ? await computeSHA256(document.file) : (document.fileHash || null);
+    
+    // Documents without text (e.g. scanned PDFs) are only compared by file bytes
+    const duplicate = await findDuplicateDocument(content.trim() ? contentHash : null, fileHash);
+    if (duplicate) {
+        throw createDuplicateError(duplicate);
+    }
+    
+    // Only uploaded files are versioned - email messages share names (subjects) freely
+    const previousVersions = document.file ? await findPreviousVersions(document) : [];
+    
+    const legacyDuplicate = previousVersions.find(doc => !doc.contentHash && doc.content === content);
+    if (legacyDuplicate) {
+        throw createDuplicateError(legacyDuplicate);
+    }
+    
+    const latest = previousVersions.reduce((newest, doc) => 
+        !newest || (doc.version || 1) > (newest.version || 1) ? doc : newest, null);
+    const versionGroupId = latest ? (latest.versionGroupId || latest.id) : null;
+    
     return new Promise((resolve, reject) => {
         const transaction = db.transaction(['documents'], 'readwrite');
         const store = transaction.objectStore('documents');
         
+        // Earlier versions stay in the history but leave search
+        previousVersions.forEach(doc => {
+            store.put({
+                ...doc,
+                versionGroupId: versionGroupId,
+                version: doc.version || 1,
+                isSearchable: false
+            });
+        });
+        
         const docData = {
             name: document.name || 'Untitled',
             description: document.description || '',
             userDefinedId: document.userDefinedId || '',
             content: document.content || '',
+            rawContent: document.rawContent || null,
             uploadDate: new Date().toISOString(),
             fileType: document.fileType || 'unknown',
-            size: document.size || 0
+            size: document.size || 0,
+            pages: document.pages || null,
+            sections: document.sections || null,
+            sheets: document.sheets || null,
+            turns: document.turns || null,
+            slides: document.slides || null,
+            email: document.email || null,
+            properties: document.properties || null,
+            textLayer: document.textLayer || null,
+            parentDocumentId: document.parentDocumentId || null,
+            folderPath: document.folderPath || null,
+            removedBoilerplate: document.removedBoilerplate || [],
+            chunkingProfile: document.chunkingProfile || null,
+            chunkOverlap: document.chunkOverlap || null,
+            contentHash: contentHash,
+            fileHash: fileHash,
+            versionGroupId: versionGroupId,
+            version: latest ? (latest.version || 1) + 1 : 1,
+            isSearchable: true
         };
         
         const request = store.add(docData);
@@ -196,7 +297,7 @@ async function updateDocument(documentId, updates) {
 }
 
 /**
- * Delete a document and all its chunks and vectors
+ * Delete a document and all its chunks, vectors and stored original file
  * 
  * @param {number} documentId - Document ID
  * @returns {Promise<void>}
@@ -204,6 +305,8 @@ async function updateDocument(documentId, updates) {
 async function deleteDocument(documentId) {
     return new Promise(async (resolve, reject) => {
         try {
+            const doc = await getDocument(documentId);
+            
             // Delete document
             const docTransaction = db.transaction(['documents'], 'readwrite');
             const docStore = docTransaction.objectStore('documents');
@@ -215,7 +318,20 @@ async function deleteDocument(documentId) {
             // Delete vectors for this document
             await deleteVectors(documentId);
             
-            console.log('Document, chunks, and vectors deleted:', documentId);
+            // Delete the stored original file, if any
+            await deleteOriginal(documentId);
+            
+            // Removing the searchable version makes the newest remaining one searchable
+            if (doc && doc.versionGroupId && doc.isSearchable !== false) {
+                const remaining = (await getDocumentsByIndex('versionGroupId', doc.versionGroupId))
+                    .filter(version => version.id !== documentId);
+                if (remaining.length > 0) {
+                    const newest = remaining.reduce((a, b) => (b.version || 1) > (a.version || 1) ? b : a);
+                    await setSearchableVersion(newest.id);
+                }
+            }
+            
+            console.log('Document, chunks, vectors, and original deleted:', documentId);
             resolve();
         } catch (error) {
             console.error('Error deleting document:', error);
@@ -224,6 +340,130 @@ async function deleteDocument(documentId) {
     });
 }
 
+// ============================================================================
+// DUPLICATES AND VERSIONS
+// ============================================================================
+
+/**
+ * Get all documents with the given index value
+ * 
+ * @param {string} indexName - Index on the documents store
+ * @param {*} value - Value to look up
+ * @returns {Promise<Array>} Matching documents
+ */
+async function getDocumentsByIndex(indexName, value) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['documents'], 'readonly');
+        const store = transaction.objectStore('documents');
+        const index = store.index(indexName);
+        const request = index.getAll(value);
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Find a document with the same text or the same file bytes
+ * 
+ * @param {string} contentHash - SHA-256 of the extracted text (null to skip)
+ * @param {string} fileHash - SHA-256 of the original file (null to skip)
+ * @returns {Promise<Object|null>} Existing document, if any
+ */
+async function findDuplicateDocument(contentHash, fileHash) {
+    if (fileHash) {
+        const [sameFile] = await getDocumentsByIndex('fileHash', fileHash);
+        if (sameFile) return sameFile;
+    }
+    
+    if (contentHash) {
+        const [sameContent] = await getDocumentsByIndex('contentHash', contentHash);
+        if (sameContent) return sameContent;
+    }
+    
+    return null;
+}
+
+/**
+ * Find earlier versions of a file: documents with the same name in the same folder
+ * 
+ * @param {Object} document - Document being added
+ * @returns {Promise<Array>} Earlier versions
+ */
+async function findPreviousVersions(document) {
+    const sameName = await getDocumentsByIndex('name', document.name || 'Untitled');
+    
+    return sameName.filter(doc => 
+        !doc.email && (doc.folderPath || null) === (document.folderPath || null)
+    );
+}
+
+function createDuplicateError(existing) {
+    const error = new Error(`Duplicate of "${existing.name}" (already uploaded)`);
+    error.name = 'DuplicateDocumentError';
+    error.existingDocumentId = existing.id;
+    return error;
+}
+
+/**
+ * Get every version of a document, oldest first
+ * 
+ * @param {number} documentId - ID of any version
+ * @returns {Promise<Array>} Versions ({id, version, isSearchable, uploadDate, ...})
+ */
+async function getDocumentVersions(documentId) {
+    const doc = await getDocument(documentId);
+    if (!doc) return [];
+    if (!doc.versionGroupId) return [doc];
+    
+    const versions = await getDocumentsByIndex('versionGroupId', doc.versionGroupId);
+    return versions.sort((a, b) => (a.version || 1) - (b.version || 1));
+}
+
+/**
+ * Make one version of a document the searchable one
+ * The other versions stay stored but are left out of search
+ * 
+ * @param {number} documentId - Version to search
+ * @returns {Promise<void>}
+ */
+async function setSearchableVersion(documentId) {
+    const versions = await getDocumentVersions(documentId);
+    if (versions.length === 0) {
+        throw new Error('Document not found');
+    }
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['documents'], 'readwrite');
+        const store = transaction.objectStore('documents');
+        
+        versions.forEach(version => {
+            store.put({ ...version, isSearchable: version.id === documentId });
+        });
+        
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Get the IDs of document versions that are left out of search
+ * 
+ * @returns {Promise<Set<number>>} Document IDs
+ */
+async function getUnsearchableDocumentIds() {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['documents'], 'readonly');
+        const index = transaction.objectStore('documents').index('versionGroupId');
+        const request = index.getAll();
+        
+        request.onsuccess = () => {
+            resolve(new Set(request.result.filter(doc => doc.isSearchable === false).map(doc => doc.id)));
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
 // ============================================================================
 // CHUNK OPERATIONS
 // ============================================================================
@@ -237,28 +477,75 @@ async function deleteDocument(documentId) {
  * @param {number} chunk.chunkNumber - Sequential chunk number
  * @param {string} chunk.content - Chunk text content
  * @param {number} chunk.charCount - Character count
+ * @param {number} chunk.pageStart - First source page (optional, PDF only)
+ * @param {number} chunk.pageEnd - Last source page (optional, PDF only)
+ * @param {string} chunk.headingPath - Heading path such as "Article 7 > 7.2 Indemnification" (optional)
+ * @param {string} chunk.sheetName - Source sheet (optional, XLSX/CSV only)
+ * @param {number} chunk.rowStart - First spreadsheet row (optional, XLSX/CSV only)
+ * @param {number} chunk.rowEnd - Last spreadsheet row (optional, XLSX/CSV only)
+ * @param {Array<string>} chunk.speakers - Speakers of the transcript turns in the chunk (optional, transcripts only)
+ * @param {number} chunk.timeStart - Start of the first turn in seconds (optional, timed transcripts only)
+ * @param {number} chunk.timeEnd - End of the last turn in seconds (optional, timed transcripts only)
+ * @param {number} chunk.slideStart - First slide (optional, PPTX only)
+ * @param {number} chunk.slideEnd - Last slide (optional, PPTX only)
+ * @param {string} chunk.clauseStart - First clause identifier, e.g. "9.3(a)" (optional, clause chunking only)
+ * @param {string} chunk.clauseEnd - Last clause identifier (optional, clause chunking only)
+ * @param {number} chunk.sentenceStart - Index of the first sentence in the document (optional, overlapping chunks only)
+ * @param {number} chunk.sentenceEnd - Index of the last sentence in the document (optional, overlapping chunks only)
+ * @param {number} chunk.overlapChars - Leading characters repeated from the chunk before it (optional, overlapping chunks only)
+ * @param {string} chunk.rawContent - Text before normalization, for display (optional, null if unchanged)
+ * @param {number} chunk.rawOverlapChars - Leading characters of the raw text repeated from the chunk before it (optional, overlapping chunks only)
+ * @param {string} chunk.sender - Email sender (optional, emails and their attachments)
+ * @param {string} chunk.sentDate - Email date as ISO 8601 (optional, emails and their attachments)
  * @returns {Promise<number>} Chunk ID
  */
 async function addChunk(chunk) {
     return new Promise((resolve, reject) => {
         const transaction = db.transaction(['chunks'], 'readwrite');
         const store = transaction.objectStore('chunks');
-        
-        const chunkData = {
-            documentId: chunk.documentId,
-            collectionId: chunk.collectionId || null,
-            chunkNumber: chunk.chunkNumber,
-            content: chunk.content,
-            charCount: chunk.charCount
-        };
-        
-        const request = store.add(chunkData);
+        const request = store.add(toChunkRecord(chunk));
         
         request.onsuccess = () => resolve(request.result);
         request.onerror = () => reject(request.error);
     });
 }
 
+/**
+ * Chunk record as stored, with missing optional fields set to null
+ * 
+ * @param {Object} chunk - Chunk object (see addChunk)
+ * @returns {Object} Chunk record
+ */
+function toChunkRecord(chunk) {
+    return {
+        documentId: chunk.documentId,
+        collectionId: chunk.collectionId || null,
+        chunkNumber: chunk.chunkNumber,
+        content: chunk.content,
+        charCount: chunk.charCount,
+        pageStart: chunk.pageStart || null,
+        pageEnd: chunk.pageEnd || null,
+        headingPath: chunk.headingPath || null,
+        sheetName: chunk.sheetName || null,
+        rowStart: chunk.rowStart || null,
+        rowEnd: chunk.rowEnd || null,
+        speakers: chunk.speakers || null,
+        timeStart: chunk.timeStart ?? null,
+        timeEnd: chunk.timeEnd ?? null,
+        slideStart: chunk.slideStart || null,
+        slideEnd: chunk.slideEnd || null,
+        clauseStart: chunk.clauseStart || null,
+        clauseEnd: chunk.clauseEnd || null,
+        sentenceStart: chunk.sentenceStart ?? null,
+        sentenceEnd: chunk.sentenceEnd ?? null,
+        overlapChars: chunk.overlapChars ?? null,
+        rawContent: chunk.rawContent || null,
+        rawOverlapChars: chunk.rawOverlapChars ?? null,
+        sender: chunk.sender || null,
+        sentDate: chunk.sentDate || null
+    };
+}
+
 /**
  * Get all chunks for a document
  * 
@@ -338,6 +625,7 @@ async function deleteChunksByDocument(documentId) {
  * @param {Object} collection - Collection object
  * @param {string} collection.name - Collection name
  * @param {string} collection.description - Optional description
+ * @param {string} collection.chunkingProfile - Optional chunking profile for its documents (see InvantiaConfig.CHUNKING_PROFILES)
  * @returns {Promise<number>} Collection ID
  */
 async function createCollection(collection) {
@@ -348,7 +636,8 @@ async function createCollection(collection) {
         const collData = {
             name: collection.name,
             description: collection.description || '',
-            createdDate: new Date().toISOString()
+            createdDate: new Date().toISOString(),
+            chunkingProfile: collection.chunkingProfile || null
         };
         
         const request = store.add(collData);
@@ -468,21 +757,7 @@ async function addVectors(documentId, vectorData) {
         const transaction = db.transaction(['vectors'], 'readwrite');
         const store = transaction.objectStore('vectors');
         
-        // Convert Maps to objects for storage (IndexedDB can't store Map objects)
-        const storableData = {
-            documentId: documentId,
-            matrix: Object.fromEntries(
-                Array.from(vectorData.matrix.entries()).map(([term, coOccMap]) => [
-                    term,
-                    Object.fromEntries(coOccMap)
-                ])
-            ),
-            termFrequencies: Object.fromEntries(vectorData.termFrequencies),
-            totalTerms: vectorData.totalTerms,
-            created: new Date().toISOString()
-        };
-        
-        const request = store.put(storableData);
+        const request = store.put(toStorableVectors(documentId, vectorData));
         
         request.onsuccess = () => {
             console.log('Vectors stored for document:', documentId);
@@ -496,6 +771,28 @@ async function addVectors(documentId, vectorData) {
     });
 }
 
+/**
+ * Convert vector data to a storable record (IndexedDB can't store Map objects)
+ * 
+ * @param {number} documentId - Document ID
+ * @param {Object} vectorData - Vector data from vectorizer
+ * @returns {Object} Vector record
+ */
+function toStorableVectors(documentId, vectorData) {
+    return {
+        documentId: documentId,
+        matrix: Object.fromEntries(
+            Array.from(vectorData.matrix.entries()).map(([term, coOccMap]) => [
+                term,
+                Object.fromEntries(coOccMap)
+            ])
+        ),
+        termFrequencies: Object.fromEntries(vectorData.termFrequencies),
+        totalTerms: vectorData.totalTerms,
+        created: new Date().toISOString()
+    };
+}
+
 /**
  * Get vectors for a document
  * 
@@ -561,10 +858,293 @@ async function deleteVectors(documentId) {
     });
 }
 
+// ============================================================================
+// ORIGINAL FILE OPERATIONS (for reprocessing)
+// ============================================================================
+
+/**
+ * Store the original file of a document
+ * 
+ * @param {number} documentId - Document ID
+ * @param {File} file - Original uploaded file
+ * @returns {Promise<void>}
+ */
+async function addOriginal(documentId, file) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['originals'], 'readwrite');
+        const store = transaction.objectStore('originals');
+        
+        const request = store.put({
+            documentId: documentId,
+            file: file,
+            fileName: file.name,
+            size: file.size,
+            storedDate: new Date().toISOString()
+        });
+        
+        request.onsuccess = () => resolve();
+        request.onerror = () => {
+            console.error('Error storing original file:', request.error);
+            reject(request.error);
+        };
+    });
+}
+
+/**
+ * Get the stored original file of a document
+ * 
+ * @param {number} documentId - Document ID
+ * @returns {Promise<Object|null>} {documentId, file, fileName, size, storedDate}, or null if not kept
+ */
+async function getOriginal(documentId) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['originals'], 'readonly');
+        const store = transaction.objectStore('originals');
+        const request = store.get(documentId);
+        
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * IDs of the documents whose original file is stored
+ * 
+ * @returns {Promise<Array<number>>} Document IDs
+ */
+async function getOriginalDocumentIds() {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['originals'], 'readonly');
+        const store = transaction.objectStore('originals');
+        const request = store.getAllKeys();
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Delete the stored original file of a document
+ * 
+ * @param {number} documentId - Document ID
+ * @returns {Promise<void>}
+ */
+async function deleteOriginal(documentId) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['originals'], 'readwrite');
+        const store = transaction.objectStore('originals');
+        const request = store.delete(documentId);
+        
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Replace the extracted content, chunks and vectors of a document in one
+ * transaction, so a failed reprocessing or re-chunking run leaves the old ones in place
+ * 
+ * @param {number} documentId - Document ID
+ * @param {Object} updates - Document fields to replace (content, rawContent, pages, sections, ...)
+ * @param {Array<Object>} chunks - New chunks (fields as in addChunk)
+ * @param {Object} vectorData - New vector data from vectorizer (null drops the old vectors)
+ * @returns {Promise<void>}
+ */
+async function replaceDocumentContent(documentId, updates, chunks, vectorData) {
+    // Re-chunking keeps the stored text, and with it the content hash
+    const hashUpdate = 'content' in updates ? { contentHash: await computeSHA256(updates.content || '') } : {};
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['documents', 'chunks', 'vectors'], 'readwrite');
+        const documentStore = transaction.objectStore('documents');
+        const chunkStore = transaction.objectStore('chunks');
+        
+        const getRequest = documentStore.get(documentId);
+        getRequest.onsuccess = () => {
+            if (!getRequest.result) {
+                transaction.abort();
+                return;
+            }
+            
+            documentStore.put({ ...getRequest.result, ...updates, ...hashUpdate, id: documentId });
+            
+            if (vectorData) {
+                transaction.objectStore('vectors').put(toStorableVectors(documentId, vectorData));
+            } else {
+                transaction.objectStore('vectors').delete(documentId);
+            }
+            
+            // Old chunks go first, then the new ones are added
+            const cursorRequest = chunkStore.index('documentId').openCursor(documentId);
+            cursorRequest.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                    return;
+                }
+                chunks.forEach(chunk => chunkStore.add(toChunkRecord(chunk)));
+            };
+        };
+        
+        transaction.oncomplete = () => {
+            console.log(`Replaced content of document ${documentId} (${chunks.length} chunks)`);
+            resolve();
+        };
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error(`Document ${documentId} not found`));
+    });
+}
+
+// ============================================================================
+// INGESTION QUEUE OPERATIONS
+// ============================================================================
+
+/**
+ * Add a file to the ingestion queue
+ * The file itself is stored so processing can resume after a reload
+ * 
+ * @param {Object} job - Queue job
+ * @param {File} job.file - File to process
+ * @param {string} job.method - Processor entry point (processAndSaveDocument, processAndSaveZipArchive or reprocessDocument)
+ * @param {Object} job.options - Processing settings (plain data only - never passwords)
+ * @param {string} job.batchId - Optional ID shared by the files uploaded together
+ * @returns {Promise<number>} Job ID
+ */
+async function addQueueJob(job) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['ingestQueue'], 'readwrite');
+        const store = transaction.objectStore('ingestQueue');
+        
+        const now = new Date().toISOString();
+        const jobData = {
+            file: job.file,
+            fileName: job.file.name,
+            fileSize: job.file.size,
+            method: job.method || 'processAndSaveDocument',
+            options: job.options || {},
+            batchId: job.batchId || null,
+            state: 'queued',
+            error: null,
+            attempts: 0,
+            documentIds: [],
+            report: null,
+            createdDate: now,
+            updatedDate: now
+        };
+        
+        const request = store.add(jobData);
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.error('Error queueing file:', request.error);
+            reject(request.error);
+        };
+    });
+}
+
+/**
+ * Get a queue job by ID
+ * 
+ * @param {number} jobId - Job ID
+ * @returns {Promise<Object>} Queue job
+ */
+async function getQueueJob(jobId) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['ingestQueue'], 'readonly');
+        const store = transaction.objectStore('ingestQueue');
+        const request = store.get(jobId);
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Get all queue jobs in the order they were queued
+ * 
+ * @returns {Promise<Array>} Array of queue jobs
+ */
+async function getAllQueueJobs() {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['ingestQueue'], 'readonly');
+        const store = transaction.objectStore('ingestQueue');
+        const request = store.getAll();
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Update a queue job
+ * 
+ * @param {number} jobId - Job ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated job
+ */
+async function updateQueueJob(jobId, updates) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const job = await getQueueJob(jobId);
+            if (!job) {
+                reject(new Error('Queue job not found'));
+                return;
+            }
+            
+            const transaction = db.transaction(['ingestQueue'], 'readwrite');
+            const store = transaction.objectStore('ingestQueue');
+            
+            const updatedJob = { ...job, ...updates, id: jobId, updatedDate: new Date().toISOString() };
+            const request = store.put(updatedJob);
+            
+            request.onsuccess = () => resolve(updatedJob);
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Remove a job from the ingestion queue (documents it created are kept)
+ * 
+ * @param {number} jobId - Job ID
+ * @returns {Promise<void>}
+ */
+async function deleteQueueJob(jobId) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['ingestQueue'], 'readwrite');
+        const store = transaction.objectStore('ingestQueue');
+        const request = store.delete(jobId);
+        
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
 
+/**
+ * SHA-256 of text or binary data as a hex string
+ * 
+ * @param {string|ArrayBuffer|Uint8Array|Blob} data - Data to hash (text is hashed as UTF-8)
+ * @returns {Promise<string>} Hex digest
+ */
+async function computeSHA256(data) {
+    let bytes = data;
+    if (typeof data === 'string') {
+        bytes = new TextEncoder().encode(data);
+    } else if (data instanceof Blob) {
+        bytes = await data.arrayBuffer();
+    }
+    
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
 /**
  * Get database statistics
  * 
@@ -605,12 +1185,14 @@ async function getStats() {
  */
 async function clearAllData() {
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction(['documents', 'chunks', 'collections', 'vectors'], 'readwrite');
+        const transaction = db.transaction(['documents', 'chunks', 'collections', 'vectors', 'originals', 'ingestQueue'], 'readwrite');
         
         transaction.objectStore('documents').clear();
         transaction.objectStore('chunks').clear();
         transaction.objectStore('collections').clear();
         transaction.objectStore('vectors').clear();
+        transaction.objectStore('originals').clear();
+        transaction.objectStore('ingestQueue').clear();
         
         transaction.oncomplete = () => {
             console.log('All data cleared from IndexedDB');
@@ -639,6 +1221,11 @@ window.InvantiaDB = {
     updateDocument,
     deleteDocument,
     
+    // Duplicates and versions
+    getDocumentVersions,
+    setSearchableVersion,
+    getUnsearchableDocumentIds,
+    
     // Chunk operations
     addChunk,
     getChunksByDocument,
@@ -657,7 +1244,22 @@ window.InvantiaDB = {
     getVectors,
     deleteVectors,
     
+    // Original files (reprocessing)
+    addOriginal,
+    getOriginal,
+    getOriginalDocumentIds,
+    deleteOriginal,
+    replaceDocumentContent,
+    
+    // Ingestion queue operations
+    addQueueJob,
+    getQueueJob,
+    getAllQueueJobs,
+    updateQueueJob,
+    deleteQueueJob,
+    
     // Utility
+    computeSHA256,
     getStats,
     clearAllData,
     
@@ -0,0 +1,236 @@
+// ~/fastapi_app/static/desktop/ingest-client.js
+// Ingestion Client - sends files to ingest-worker.js and relays its progress
+//
+// Same calls and callbacks as InvantiaDocProcessor.processAndSaveDocument,
+// processAndSaveZipArchive and reprocessDocument, plus cancellation. When workers are unavailable
+// (old browser, file:// page, worker failed to load) jobs run on the main thread.
+
+(function() {
+  'use strict';
+  
+  // =========================================================================
+  // CONFIGURATION
+  // =========================================================================
+  
+  const WORKER_URL = 'ingest-worker.js';
+  
+  let worker = null;
+  let workerReady = false;
+  let workerFailed = false;
+  let nextJobId = 1;
+  
+  // jobId -> {method, file, key, options, progressCallback, statusCallback, resolve, reject, controller}
+  const jobs = new Map();
+  
+  // =========================================================================
+  // WORKER MANAGEMENT
+  // =========================================================================
+  
+  function getWorker() {
+    if (worker || workerFailed) {
+      return worker;
+    }
+    
+    if (typeof Worker === 'undefined') {
+      workerFailed = true;
+      return null;
+    }
+    
+    try {
+      worker = new Worker(WORKER_URL);
+      worker.onmessage = handleWorkerMessage;
+      worker.onerror = handleWorkerError;
+    } catch (error) {
+      console.warn('Ingestion worker unavailable, processing on the main thread:', error);
+      workerFailed = true;
+      worker = null;
+    }
+    
+    return worker;
+  }
+  
+  function handleWorkerMessage(event) {
+    const message = event.data;
+    
+    if (message.type === 'ready') {
+      workerReady = true;
+      return;
+    }
+    
+    const job = jobs.get(message.jobId);
+    if (!job) return;
+    
+    switch (message.type) {
+      case 'progress':
+        job.progressCallback?.(message.percent);
+        break;
+      case 'status':
+        job.statusCallback?.(message.message);
+        break;
+      case 'stage':
+        job.options.stageCallback?.(message.stage, message.documentId);
+        break;
+      case 'done':
+        jobs.delete(message.jobId);
+        job.resolve(message.result);
+        break;
+      case 'error': {
+        jobs.delete(message.jobId);
+        const error = new Error(message.error.message);
+        error.name = message.error.name;
+        job.reject(error);
+        break;
+      }
+    }
+  }
+  
+  /**
+   * A worker that fails before it is ready could not load its scripts:
+   * rerun its jobs on the main thread. Later failures fail the pending jobs.
+   */
+  function handleWorkerError(event) {
+    console.error('Ingestion worker error:', event.message || event);
+    
+    const failedBeforeReady = !workerReady;
+    worker.terminate();
+    worker = null;
+    workerReady = false;
+    
+    if (failedBeforeReady) {
+      workerFailed = true;
+    }
+    
+    const pending = Array.from(jobs.entries());
+    jobs.clear();
+    
+    pending.forEach(([, job]) => {
+      if (failedBeforeReady) {
+        runOnMainThread(job);
+      } else {
+        job.reject(new Error(`Ingestion worker crashed: ${event.message || 'unknown error'}`));
+      }
+    });
+  }
+  
+  // =========================================================================
+  // JOBS
+  // =========================================================================
+  
+  function runOnMainThread(job) {
+    const jobId = nextJobId++;
+    job.controller = new AbortController();
+    jobs.set(jobId, job);
+    
+    window.InvantiaDocProcessor[job.method](
+      job.file,
+      job.progressCallback,
+      job.statusCallback,
+      { ...job.options, signal: job.controller.signal }
+    )
+      .then(job.resolve, job.reject)
+      .finally(() => jobs.delete(jobId));
+  }
+  
+  function startJob(method, file, progressCallback, statusCallback, options) {
+    return new Promise((resolve, reject) => {
+      // The key stays here: it is what cancel() matches, the processor never sees it
+      const { jobKey = null, ...jobOptions } = options;
+      const job = {
+        method, file, key: jobKey, options: jobOptions,
+        progressCallback, statusCallback, resolve, reject, controller: null
+      };
+      const activeWorker = getWorker();
+      
+      if (!activeWorker) {
+        runOnMainThread(job);
+        return;
+      }
+      
+      // Callbacks cannot be posted; stage messages are relayed instead
+      const { stageCallback, ...workerOptions } = jobOptions;
+      const jobId = nextJobId++;
+      jobs.set(jobId, job);
+      activeWorker.postMessage({ type: 'process', jobId, method, file, options: workerOptions });
+    });
+  }
+  
+  // =========================================================================
+  // PUBLIC API
+  // =========================================================================
+  
+  /**
+   * Process and save one file in the background
+   * Rejects with an AbortError when cancelled
+   *
+   * @param {File} file - File to process
+   * @param {Function} progressCallback - Progress callback (percent)
+   * @param {Function} statusCallback - Status message callback
+   * @param {Object} options - Processing settings (plain data plus stageCallback, see processAndSaveDocument)
+   * @param {*} options.jobKey - Optional key to cancel the job by (see cancel)
+   * @returns {Promise<number>} Document ID
+   */
+  function processAndSaveDocument(file, progressCallback = null, statusCallback = null, options = {}) {
+    return startJob('processAndSaveDocument', file, progressCallback, statusCallback, options);
+  }
+  
+  /**
+   * Unpack and save a ZIP archive in the background
+   *
+   * @param {File} file - ZIP file
+   * @param {Function} progressCallback - Progress callback (percent)
+   * @param {Function} statusCallback - Status message callback
+   * @param {Object} options - Processing settings (plain data plus stageCallback)
+   * @returns {Promise<Object>} Report (see processAndSaveZipArchive)
+   */
+  function processAndSaveZipArchive(file, progressCallback = null, statusCallback = null, options = {}) {
+    return startJob('processAndSaveZipArchive', file, progressCallback, statusCallback, options);
+  }
+  
+  /**
+   * Reprocess a stored document from its original file in the background
+   *
+   * @param {File} file - Original file
+   * @param {Function} progressCallback - Progress callback (percent)
+   * @param {Function} statusCallback - Status message callback
+   * @param {Object} options - Processing settings (plain data plus stageCallback, see reprocessDocument)
+   * @returns {Promise<number>} Document ID
+   */
+  function reprocessDocument(file, progressCallback = null, statusCallback = null, options = {}) {
+    return startJob('reprocessDocument', file, progressCallback, statusCallback, options);
+  }
+  
+  /**
+   * Cancel processing of a job (or of every job when none is given)
+   * Processing stops at the next checkpoint and the partly saved document is removed
+   *
+   * @param {*} target - Optional jobKey the job was started with, or the File it was started with
+   * @returns {number} Number of jobs cancelled
+   */
+  function cancel(target = null) {
+    let cancelled = 0;
+    
+    jobs.forEach((job, jobId) => {
+      if (target !== null && job.key !== target && job.file !== target) return;
+      
+      if (job.controller) {
+        job.controller.abort();
+      } else if (worker) {
+        worker.postMessage({ type: 'cancel', jobId });
+      }
+      cancelled++;
+    });
+    
+    return cancelled;
+  }
+  
+  window.InvantiaIngest = {
+    processAndSaveDocument,
+    processAndSaveZipArchive,
+    reprocessDocument,
+    cancel,
+    isUsingWorker: () => Boolean(getWorker())
+  };
+  
+  console.log('Ingestion client loaded');
+
+})();
@@ -0,0 +1,450 @@
+// ~/fastapi_app/static/desktop/ingest-queue.js
+// Ingestion Queue - persistent, resumable processing of uploaded files
+//
+// Files are stored in the IndexedDB ingestQueue store before processing, so a
+// reload does not lose them: interrupted files are rolled back and processed again.
+// Jobs run one at a time through InvantiaIngest (ingest-client.js). Reprocessing
+// a stored document from its kept original file goes through the queue too.
+//
+// Job states: queued -> extracting -> chunking -> vectorizing -> done | failed | locked
+// (a duplicate upload ends as done, with the reason in job.error; an encrypted
+// PDF without the right password ends as locked until unlock() is called)
+//
+// PDF passwords live in memory only - they are never written to IndexedDB,
+// so locked files ask again after a reload.
+//
+// Events (see on()):
+//   change   (job)          - a job was added, updated or removed (null for queue-wide changes)
+//   progress (job, percent) - progress of the active job
+//   status   (job, message) - status message of the active job
+//   password (job)          - a job is locked and needs a PDF password
+//   idle     (jobs)         - the queue drained; jobs finished since it last started
+
+(function() {
+  'use strict';
+  
+  // =========================================================================
+  // CONFIGURATION
+  // =========================================================================
+  
+  const PAUSED_STORAGE_KEY = 'invantia-ingest-paused';
+  
+  // States a job is in while it is being processed
+  const ACTIVE_STATES = new Set(['extracting', 'chunking', 'vectorizing']);
+  
+  let paused = readPausedFlag();
+  let running = false;
+  let activeJob = null;
+  let finishedJobs = [];
+  
+  // jobId -> password entered for that file; batchId -> passwords remembered for the batch
+  const jobPasswords = new Map();
+  const batchPasswords = new Map();
+  
+  const listeners = {
+    change: [],
+    progress: [],
+    status: [],
+    password: [],
+    idle: []
+  };
+  
+  function readPausedFlag() {
+    try {
+      return localStorage.getItem(PAUSED_STORAGE_KEY) === 'true';
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  function writePausedFlag(value) {
+    try {
+      localStorage.setItem(PAUSED_STORAGE_KEY, String(value));
+    } catch (error) {
+      console.warn('Could not remember the paused queue state:', error);
+    }
+  }
+  
+  function emit(event, ...args) {
+    listeners[event].forEach(handler => {
+      try {
+        handler(...args);
+      } catch (error) {
+        console.error(`Error in ingestion queue ${event} handler:`, error);
+      }
+    });
+  }
+  
+  // =========================================================================
+  // JOB STATE
+  // =========================================================================
+  
+  async function updateJob(jobId, updates) {
+    const job = await window.InvantiaDB.updateQueueJob(jobId, updates);
+    emit('change', job);
+    return job;
+  }
+  
+  /**
+   * Delete the documents an unfinished run of a job saved, so running it
+   * again does not leave duplicates behind
+   */
+  async function discardDocuments(job) {
+    for (const documentId of job.documentIds || []) {
+      await window.InvantiaDB.deleteDocument(documentId).catch(error => {
+        console.warn(`Could not remove document ${documentId} of ${job.fileName}:`, error);
+      });
+    }
+  }
+  
+  function getPasswords(job) {
+    const passwords = [jobPasswords.get(job.id), ...(batchPasswords.get(job.batchId) || [])];
+    return [...new Set(passwords.filter(Boolean))];
+  }
+  
+  async function runJob(job) {
+    if (!job.file) {
+      return updateJob(job.id, { state: 'failed', error: 'File is no longer stored - add it again' });
+    }
+    
+    await discardDocuments(job);
+    job = await updateJob(job.id, {
+      state: 'extracting',
+      error: null,
+      attempts: (job.attempts || 0) + 1,
+      documentIds: [],
+      report: null
+    });
+    
+    // Stage updates are written in order; documents are recorded as soon as they are saved
+    const documentIds = [];
+    let stageWrites = Promise.resolve();
+    
+    const stageCallback = (stage, documentId) => {
+      if (documentId != null && !documentIds.includes(documentId)) {
+        documentIds.push(documentId);
+      }
+      const updates = { state: stage, documentIds: [...documentIds] };
+      stageWrites = stageWrites.then(() => updateJob(job.id, updates)).catch(error => {
+        console.error(`Error recording stage of ${job.fileName}:`, error);
+      });
+    };
+    
+    // Passwords go to the processor with this run only, never into the stored job
+    const passwords = getPasswords(job);
+    jobPasswords.delete(job.id);
+    
+    try {
+      const result = await window.InvantiaIngest[job.method](
+        job.file,
+        (percent) => emit('progress', job, percent),
+        (message) => emit('status', job, message),
+        { ...job.options, passwords, stageCallback, jobKey: job.id }
+      );
+      await stageWrites;
+      
+      // The stored file is only needed until the job succeeds
+      return await updateJob(job.id, {
+        state: 'done',
+        file: null,
+        documentIds: documentIds,
+        report: job.method === 'processAndSaveZipArchive' ? result : null
+      });
+    
+    } catch (error) {
+      await stageWrites;
+      
+      // Already stored: nothing to retry, so the job is finished with a note
+      if (error.name === 'DuplicateDocumentError') {
+        return updateJob(job.id, { state: 'done', file: null, error: error.message, documentIds: [] });
+      }
+      
+      if (error.name === 'PasswordRequiredError') {
+        const locked = await updateJob(job.id, { state: 'locked', error: error.message, documentIds: documentIds });
+        emit('password', locked);
+        return locked;
+      }
+      
+      console.error(`Error processing ${job.fileName}:`, error);
+      
+      return updateJob(job.id, {
+        state: 'failed',
+        error: error.name === 'AbortError' ? 'Cancelled' : error.message,
+        documentIds: documentIds
+      });
+    }
+  }
+  
+  /**
+   * Process queued jobs one at a time until the queue is empty or paused
+   */
+  async function run() {
+    if (running || paused) return;
+    running = true;
+    
+    try {
+      while (!paused) {
+        const jobs = await window.InvantiaDB.getAllQueueJobs();
+        const next = jobs.find(job => job.state === 'queued');
+        if (!next) break;
+        
+        activeJob = next;
+        finishedJobs.push(await runJob(next));
+        activeJob = null;
+      }
+    } catch (error) {
+      console.error('Ingestion queue stopped:', error);
+    } finally {
+      running = false;
+      activeJob = null;
+    }
+    
+    if (!paused && finishedJobs.length > 0) {
+      const finished = finishedJobs;
+      finishedJobs = [];
+      emit('idle', finished);
+    }
+  }
+  
+  // =========================================================================
+  // PUBLIC API
+  // =========================================================================
+  
+  /**
+   * Open the queue after a page load: files that were being processed when
+   * the page closed are rolled back and queued again, then processing resumes
+   * (unless the queue was paused)
+   *
+   * @returns {Promise<void>}
+   */
+  async function initialize() {
+    if (!window.InvantiaDB.getDB()) {
+      await initDB();
+    }
+    
+    const jobs = await window.InvantiaDB.getAllQueueJobs();
+    
+    for (const job of jobs.filter(job => ACTIVE_STATES.has(job.state))) {
+      console.log(`Resuming interrupted ingestion of ${job.fileName}`);
+      await discardDocuments(job);
+      await updateJob(job.id, { state: 'queued', documentIds: [] });
+    }
+    
+    emit('change', null);
+    run();
+  }
+  
+  /**
+   * Add files to the queue and start processing
+   * ZIP archives are unpacked into a collection (see processAndSaveZipArchive)
+   *
+   * @param {Array<File|Object>} files - Files to process, or {file, options} entries whose
+   *   options add to the shared ones (e.g. the folderPath of each file in a folder upload)
+   * @param {Object} options - Processing settings (plain data only, see processAndSaveDocument)
+   * @returns {Promise<Array<number>>} Job IDs
+   */
+  async function enqueue(files, options = {}) {
+    const jobIds = [];
+    const batchId = `batch-${Date.now()}`;
+    
+    for (const entry of files) {
+      const file = entry instanceof Blob ? entry : entry.file;
+      const fileOptions = entry instanceof Blob ? options : { ...options, ...entry.options };
+      const method = window.InvantiaDocProcessor.getFileType(file) === 'zip'
+        ? 'processAndSaveZipArchive'
+        : 'processAndSaveDocument';
+      
+      const jobId = await window.InvantiaDB.addQueueJob({ file, method, options: fileOptions, batchId });
+      jobIds.push(jobId);
+      emit('change', await window.InvantiaDB.getQueueJob(jobId));
+    }
+    
+    run();
+    return jobIds;
+  }
+  
+  /**
+   * Queue a stored document for reprocessing from its original file
+   * (kept when it was uploaded with keepOriginal); the new chunks replace
+   * the old ones once the run succeeds
+   *
+   * @param {number} documentId - Document ID
+   * @returns {Promise<number>} Job ID
+   */
+  async function reprocess(documentId) {
+    const original = await window.InvantiaDB.getOriginal(documentId);
+    if (!original) {
+      throw new Error('The original file of this document was not kept - upload it again');
+    }
+    
+    const jobId = await window.InvantiaDB.addQueueJob({
+      file: original.file,
+      method: 'reprocessDocument',
+      options: { documentId },
+      batchId: `reprocess-${documentId}`
+    });
+    emit('change', await window.InvantiaDB.getQueueJob(jobId));
+    
+    run();
+    return jobId;
+  }
+  
+  /**
+   * Stop starting new files; the file in progress still finishes
+   * The paused state survives a reload
+   */
+  function pause() {
+    paused = true;
+    writePausedFlag(true);
+    emit('change', null);
+  }
+  
+  function resume() {
+    paused = false;
+    writePausedFlag(false);
+    emit('change', null);
+    run();
+  }
+  
+  /**
+   * Queue a failed job again (documents it saved before failing are removed)
+   *
+   * @param {number} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  async function retry(jobId) {
+    const job = await window.InvantiaDB.getQueueJob(jobId);
+    if (!job || job.state !== 'failed') return;
+    
+    await updateJob(jobId, { state: 'queued', error: null });
+    run();
+  }
+  
+  /**
+   * Queue a locked (password-protected) job again with a password
+   * The password is kept in memory for this attempt only; remembered batch
+   * passwords are also tried on the other files of the batch, and locked files
+   * of the batch are queued again
+   *
+   * @param {number} jobId - Job ID
+   * @param {string} password - PDF password
+   * @param {boolean} rememberForBatch - Also try the password on the rest of the batch
+   * @returns {Promise<void>}
+   */
+  async function unlock(jobId, password, rememberForBatch = false) {
+    const job = await window.InvantiaDB.getQueueJob(jobId);
+    if (!job || job.state !== 'locked') return;
+    
+    jobPasswords.set(jobId, password);
+    await updateJob(jobId, { state: 'queued', error: null });
+    
+    if (rememberForBatch && job.batchId) {
+      const remembered = batchPasswords.get(job.batchId) || [];
+      batchPasswords.set(job.batchId, [...remembered, password]);
+      
+      const jobs = await window.InvantiaDB.getAllQueueJobs();
+      for (const other of jobs.filter(other => other.state === 'locked' && other.batchId === job.batchId)) {
+        await updateJob(other.id, { state: 'queued', error: null });
+      }
+    }
+    
+    run();
+  }
+  
+  /**
+   * Queue every failed job again
+   *
+   * @returns {Promise<number>} Number of jobs queued
+   */
+  async function retryFailed() {
+    const jobs = await window.InvantiaDB.getAllQueueJobs();
+    const failed = jobs.filter(job => job.state === 'failed');
+    
+    for (const job of failed) {
+      await updateJob(job.id, { state: 'queued', error: null });
+    }
+    
+    run();
+    return failed.length;
+  }
+  
+  /**
+   * Remove a job that is not being processed (saved documents are kept)
+   *
+   * @param {number} jobId - Job ID
+   * @returns {Promise<boolean>} False if the job is in progress
+   */
+  async function remove(jobId) {
+    if (activeJob && activeJob.id === jobId) {
+      return false;
+    }
+    
+    jobPasswords.delete(jobId);
+    await window.InvantiaDB.deleteQueueJob(jobId);
+    emit('change', null);
+    return true;
+  }
+  
+  /**
+   * Remove all completed jobs from the list
+   *
+   * @returns {Promise<number>} Number of jobs removed
+   */
+  async function clearFinished() {
+    const jobs = await window.InvantiaDB.getAllQueueJobs();
+    const done = jobs.filter(job => job.state === 'done');
+    
+    for (const job of done) {
+      await window.InvantiaDB.deleteQueueJob(job.id);
+    }
+    
+    emit('change', null);
+    return done.length;
+  }
+  
+  /**
+   * Cancel the file in progress; it is marked failed and can be retried
+   *
+   * @returns {boolean} True if a file was being processed
+   */
+  function cancelActive() {
+    if (!activeJob) return false;
+    // By job ID: the file read back from the queue store is a new Blob each time
+    return window.InvantiaIngest.cancel(activeJob.id) > 0;
+  }
+  
+  /**
+   * Subscribe to queue events (change, progress, status, password, idle)
+   *
+   * @param {string} event - Event name
+   * @param {Function} handler - Event handler
+   */
+  function on(event, handler) {
+    if (!listeners[event]) {
+      throw new Error(`Unknown ingestion queue event: ${event}`);
+    }
+    listeners[event].push(handler);
+  }
+  
+  window.InvantiaQueue = {
+    initialize,
+    enqueue,
+    reprocess,
+    pause,
+    resume,
+    retry,
+    unlock,
+    retryFailed,
+    remove,
+    clearFinished,
+    cancelActive,
+    on,
+    getJobs: () => window.InvantiaDB.getAllQueueJobs(),
+    getActiveJob: () => activeJob,
+    isPaused: () => paused,
+    isRunning: () => running
+  };
+  
+  console.log('Ingestion queue loaded');
+
+})();
@@ -0,0 +1,113 @@
+// ~/fastapi_app/static/desktop/ingest-worker.js
+// Ingestion Worker - runs document processing off the main thread
+//
+// Loads the same modules as the page (window is aliased to the worker global)
+// and runs the document processor on request, so large PDFs no longer freeze the UI.
+// Driven by ingest-client.js.
+//
+// Messages in:  {type: 'process', jobId, method, file, options}
+//               {type: 'cancel', jobId}
+// Messages out: {type: 'ready'}
+//               {type: 'progress', jobId, percent}
+//               {type: 'status', jobId, message}
+//               {type: 'stage', jobId, stage, documentId}
+//               {type: 'done', jobId, result}
+//               {type: 'error', jobId, error: {name, message}}
+
+self.window = self;
+
+importScripts(
+  'pdf.min.js',
+  'mammoth.browser.min.js',
+  'indexeddb.js',
+  'markup-parser.js',
+  'zip-reader.js',
+  'mail-parser.js',
+  'markdown-parser.js',
+  'transcript-parser.js',
+  'document-processor.js',
+  'tokenizer.js',
+  'sentence-splitter.js',
+  'chunker.js',
+  'config.js',
+  'vectorizer.js'
+);
+
+(function() {
+  'use strict';
+  
+  // =========================================================================
+  // CONFIGURATION
+  // =========================================================================
+  
+  // Processor entry points the page may call
+  const ALLOWED_METHODS = new Set([
+    'processAndSaveDocument',
+    'processAndSaveZipArchive',
+    'reprocessDocument'
+  ]);
+  
+  // pdf.js spawns its own worker for parsing
+  if (typeof pdfjsLib !== 'undefined') {
+    pdfjsLib.GlobalWorkerOptions.workerSrc = 'pdf.worker.min.js';
+  }
+  
+  // jobId -> AbortController
+  const activeJobs = new Map();
+  
+  // =========================================================================
+  // JOB HANDLING
+  // =========================================================================
+  
+  async function runJob(message) {
+    const { jobId, method, file, options } = message;
+    const controller = new AbortController();
+    activeJobs.set(jobId, controller);
+    
+    try {
+      if (!ALLOWED_METHODS.has(method)) {
+        throw new Error(`Unknown ingestion method: ${method}`);
+      }
+      
+      // The database opens asynchronously when indexeddb.js loads
+      if (!window.InvantiaDB.getDB()) {
+        await initDB();
+      }
+      
+      const result = await window.InvantiaDocProcessor[method](
+        file,
+        (percent) => self.postMessage({ type: 'progress', jobId, percent }),
+        (status) => self.postMessage({ type: 'status', jobId, message: status }),
+        {
+          ...options,
+          signal: controller.signal,
+          stageCallback: (stage, documentId) => self.postMessage({ type: 'stage', jobId, stage, documentId })
+        }
+      );
+      
+      self.postMessage({ type: 'done', jobId, result });
+    
+    } catch (error) {
+      self.postMessage({
+        type: 'error',
+        jobId,
+        error: { name: error.name, message: error.message }
+      });
+    } finally {
+      activeJobs.delete(jobId);
+    }
+  }
+  
+  self.onmessage = (event) => {
+    const message = event.data;
+    
+    if (message.type === 'process') {
+      runJob(message);
+    } else if (message.type === 'cancel') {
+      activeJobs.get(message.jobId)?.abort();
+    }
+  };
+  
+  self.postMessage({ type: 'ready' });
+
+})();
@@ -0,0 +1,344 @@
+// ~/fastapi_app/static/desktop/mail-parser.js
+// Email Parser - reads RFC 5322 / MIME messages (.eml) and mbox archives
+//
+// Produces header metadata, the readable body and decoded attachments.
+// Messages are handled as "binary strings" (one character per byte) until a
+// part's charset is known, so 8-bit bodies and attachments survive intact.
+
+(function() {
+  'use strict';
+  
+  // =========================================================================
+  // BYTE / TEXT CONVERSION
+  // =========================================================================
+  
+  function bytesToBinary(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return binary;
+  }
+  
+  function binaryToBytes(binary) {
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i) & 0xFF;
+    }
+    return bytes;
+  }
+  
+  /**
+   * Decode bytes in the given charset, falling back to UTF-8 for unknown labels
+   */
+  function decodeCharset(binary, charset) {
+    const bytes = binaryToBytes(binary);
+    try {
+      return new TextDecoder(charset || 'utf-8').decode(bytes);
+    } catch (error) {
+      return new TextDecoder('utf-8').decode(bytes);
+    }
+  }
+  
+  // =========================================================================
+  // TRANSFER ENCODINGS
+  // =========================================================================
+  
+  function decodeBase64(text) {
+    // Line breaks and stray characters are ignored; padding is restored
+    let cleaned = text.replace(/[^A-Za-z0-9+/]/g, '');
+    if (cleaned.length % 4 === 1) {
+      cleaned = cleaned.slice(0, -1);
+    }
+    try {
+      return atob(cleaned.padEnd(Math.ceil(cleaned.length / 4) * 4, '='));
+    } catch (error) {
+      return '';
+    }
+  }
+  
+  function decodeQuotedPrintable(text) {
+    return text
+      .replace(/[ \t]+(\r?\n)/g, '$1')
+      .replace(/=\r?\n/g, '')
+      .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+  
+  function decodeTransfer(body, encoding) {
+    switch ((encoding || '').toLowerCase().trim()) {
+      case 'base64':
+        return decodeBase64(body);
+      case 'quoted-printable':
+        return decodeQuotedPrintable(body);
+      default:
+        return body;
+    }
+  }
+  
+  // =========================================================================
+  // HEADERS
+  // =========================================================================
+  
+  /**
+   * Decode RFC 2047 encoded words ("=?utf-8?Q?Caf=C3=A9?=")
+   * Whitespace between adjacent encoded words is dropped, as the RFC requires
+   */
+  function decodeEncodedWords(value) {
+    return value
+      .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?[^?]+\?[BbQq]\?[^?]*\?=)/g, '$1')
+      .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+        const binary = encoding.toUpperCase() === 'B'
+          ? decodeBase64(text)
+          : decodeQuotedPrintable(text.replace(/_/g, ' '));
+        return decodeCharset(binary, charset);
+      });
+  }
+  
+  /**
+   * Split a header block into a map of lower-cased name -> array of decoded values
+   */
+  function parseHeaders(block) {
+    const headers = {};
+    const unfolded = block.replace(/\r?\n[ \t]+/g, ' ');
+    
+    unfolded.split(/\r?\n/).forEach(line => {
+      const colon = line.indexOf(':');
+      if (colon <= 0) return;
+      
+      const name = line.slice(0, colon).trim().toLowerCase();
+      // Raw 8-bit header text is almost always UTF-8
+      const value = decodeEncodedWords(decodeCharset(line.slice(colon + 1).trim(), 'utf-8'));
+      
+      (headers[name] = headers[name] || []).push(value);
+    });
+    
+    return headers;
+  }
+  
+  /**
+   * Parse a structured header such as Content-Type into its value and parameters
+   * Handles quoted values and RFC 2231 parameters (name*=utf-8''..., name*0=...)
+   */
+  function parseHeaderParams(header) {
+    const [value, ...rest] = (header || '').split(';');
+    const params = {};
+    const continuations = {};
+    
+    rest.join(';').replace(/([^=;\s]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g, (match, rawName, rawValue) => {
+      let paramValue = rawValue.trim();
+      if (paramValue.startsWith('"')) {
+        paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, '$1');
+      }
+      
+      const name = rawName.toLowerCase();
+      const extended = name.match(/^([^*]+)\*(\d+)?(\*)?$/);
+      
+      if (extended) {
+        const [, baseName, index, encoded] = extended;
+        const isEncoded = encoded === '*' || (index === undefined);
+        (continuations[baseName] = continuations[baseName] || []).push({
+          index: index === undefined ? 0 : parseInt(index, 10),
+          value: paramValue,
+          encoded: isEncoded
+        });
+      } else {
+        params[name] = paramValue;
+      }
+      
+      return match;
+    });
+    
+    Object.entries(continuations).forEach(([name, pieces]) => {
+      pieces.sort((a, b) => a.index - b.index);
+      
+      let charset = 'utf-8';
+      const binary = pieces.map((piece, i) => {
+        let pieceValue = piece.value;
+        if (!piece.encoded) return pieceValue;
+        
+        if (i === 0) {
+          const match = pieceValue.match(/^([^']*)'[^']*'(.*)$/);
+          if (match) {
+            charset = match[1] || charset;
+            pieceValue = match[2];
+          }
+        }
+        return pieceValue.replace(/%([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+      }).join('');
+      
+      params[name] = decodeCharset(binary, charset);
+    });
+    
+    return { value: value.trim().toLowerCase(), params };
+  }
+  
+  function firstHeader(headers, name) {
+    return headers[name] ? headers[name][0] : '';
+  }
+  
+  // =========================================================================
+  // MIME ENTITIES
+  // =========================================================================
+  
+  /**
+   * Parse one MIME entity (a message or a body part) from a binary string
+   */
+  function parseEntity(raw) {
+    const match = raw.match(/\r?\n\r?\n/);
+    const headerBlock = match ? raw.slice(0, match.index) : raw;
+    const body = match ? raw.slice(match.index + match[0].length) : '';
+    
+    const headers = parseHeaders(headerBlock);
+    const contentType = parseHeaderParams(firstHeader(headers, 'content-type') || 'text/plain');
+    const disposition = parseHeaderParams(firstHeader(headers, 'content-disposition'));
+    
+    const entity = {
+      headers,
+      contentType: contentType.value,
+      charset: contentType.params.charset,
+      disposition: disposition.value,
+      filename: disposition.params.filename || contentType.params.name || null,
+      transferEncoding: firstHeader(headers, 'content-transfer-encoding'),
+      body,
+      parts: []
+    };
+    
+    if (entity.contentType.startsWith('multipart/') && contentType.params.boundary) {
+      entity.parts = splitMultipart(body, contentType.params.boundary).map(parseEntity);
+    }
+    
+    return entity;
+  }
+  
+  function splitMultipart(body, boundary) {
+    const delimiter = '--' + boundary;
+    const parts = [];
+    const lines = body.split(/\r?\n/);
+    let current = null;
+    
+    for (const line of lines) {
+      const trimmed = line.trimEnd();
+      
+      if (trimmed === delimiter + '--') {
+        break;
+      }
+      
+      if (trimmed === delimiter) {
+        if (current) parts.push(current.join('\n'));
+        current = [];
+      } else if (current) {
+        current.push(line);
+      }
+    }
+    
+    if (current && current.length > 0) {
+      parts.push(current.join('\n'));
+    }
+    
+    return parts;
+  }
+  
+  function isAttachment(entity) {
+    if (entity.disposition === 'attachment') return true;
+    if (entity.contentType === 'message/rfc822') return true;
+    
+    // Inline text without a file name is part of the message body
+    return Boolean(entity.filename) && !entity.contentType.startsWith('text/');
+  }
+  
+  /**
+   * Walk the MIME tree collecting body text and attachments
+   */
+  function collectContent(entity, result) {
+    if (entity.parts.length > 0) {
+      if (entity.contentType === 'multipart/alternative') {
+        // Prefer the plain-text rendering, otherwise the richest (last) one
+        const plain = entity.parts.find(part => part.contentType === 'text/plain' && !isAttachment(part));
+        collectContent(plain || entity.parts[entity.parts.length - 1], result);
+      } else {
+        entity.parts.forEach(part => collectContent(part, result));
+      }
+      return;
+    }
+    
+    const decoded = decodeTransfer(entity.body, entity.transferEncoding);
+    
+    if (isAttachment(entity)) {
+      const subject = entity.contentType === 'message/rfc822'
+        ? firstHeader(parseHeaders(decoded.split(/\r?\n\r?\n/)[0]), 'subject')
+        : '';
+      
+      result.attachments.push({
+        filename: entity.filename || (subject ? `${subject}.eml` : `attachment-${result.attachments.length + 1}`),
+        contentType: entity.contentType,
+        data: binaryToBytes(decoded)
+      });
+    } else if (entity.contentType === 'text/html') {
+      result.htmlParts.push(decodeCharset(decoded, entity.charset));
+    } else if (entity.contentType.startsWith('text/')) {
+      result.textParts.push(decodeCharset(decoded, entity.charset));
+    }
+  }
+  
+  // =========================================================================
+  // PUBLIC API
+  // =========================================================================
+  
+  /**
+   * Parse a single email message
+   *
+   * @param {Uint8Array|string} source - Raw message bytes (or a binary string)
+   * @returns {Object} {from, to, cc, date, dateHeader, subject, messageId, inReplyTo, text, html, attachments, size}
+   *   date is ISO 8601 (null if unparseable); attachments are {filename, contentType, data: Uint8Array}
+   */
+  function parseMessage(source) {
+    const raw = typeof source === 'string' ? source : bytesToBinary(source);
+    const entity = parseEntity(raw);
+    const result = { textParts: [], htmlParts: [], attachments: [] };
+    
+    collectContent(entity, result);
+    
+    const dateHeader = firstHeader(entity.headers, 'date');
+    const parsedDate = dateHeader ? new Date(dateHeader.replace(/\s*\([^)]*\)\s*$/, '')) : null;
+    
+    return {
+      from: firstHeader(entity.headers, 'from'),
+      to: (entity.headers.to || []).join(', '),
+      cc: (entity.headers.cc || []).join(', '),
+      date: parsedDate && !isNaN(parsedDate) ? parsedDate.toISOString() : null,
+      dateHeader: dateHeader,
+      subject: firstHeader(entity.headers, 'subject'),
+      messageId: firstHeader(entity.headers, 'message-id'),
+      inReplyTo: firstHeader(entity.headers, 'in-reply-to'),
+      text: result.textParts.join('\n\n'),
+      html: result.htmlParts.join('\n'),
+      attachments: result.attachments,
+      size: raw.length
+    };
+  }
+  
+  /**
+   * Split an mbox archive into messages and parse each one
+   * Messages start at "From " separator lines; ">From " escaping is undone
+   *
+   * @param {Uint8Array|string} source - Raw mbox bytes (or a binary string)
+   * @returns {Array<Object>} Parsed messages (see parseMessage)
+   */
+  function parseMbox(source) {
+    const raw = typeof source === 'string' ? source : bytesToBinary(source);
+    
+    return raw
+      .split(/^From [^\n]*\n/m)
+      .filter(message => message.trim().length > 0)
+      .map(message => parseMessage(message.replace(/^>(>*From )/gm, '$1')));
+  }
+  
+  window.InvantiaMail = {
+    parseMessage,
+    parseMbox,
+    decodeEncodedWords
+  };
+  
+  console.log('Mail parser loaded');
+
+})();
@@ -0,0 +1,347 @@
+// ~/fastapi_app/static/desktop/markdown-parser.js
+// Markdown Converter - turns Markdown into HTML for the markup parser
+//
+// Covers what knowledge base exports use: ATX and setext headings, lists
+// (nested, ordered and unordered), GFM tables, block quotes, code blocks and
+// YAML front matter. Inline formatting is reduced to its text (links keep their
+// label, images their alt text). Raw HTML is passed through unchanged - it is
+// never rendered, and markup-parser.js drops scripts and styles.
+
+(function() {
+  'use strict';
+  
+  // =========================================================================
+  // PATTERNS
+  // =========================================================================
+  
+  const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+  const ATX_HEADING_PATTERN = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+  const RULE_PATTERN = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+  const QUOTE_PATTERN = /^ {0,3}> ?/;
+  const LIST_ITEM_PATTERN = /^( {0,3})([-*+]|\d{1,9}[.)])([ \t]+|$)/;
+  const TABLE_DELIMITER_PATTERN = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+  const HTML_BLOCK_PATTERN = /^ {0,3}<(\/?[A-Za-z][\w-]*|!--)/;
+  const REFERENCE_PATTERN = /^ {0,3}\[[^\]]+\]:[ \t]*\S/;
+  const SETEXT_PATTERN = /^ {0,3}(=+|-+)[ \t]*$/;
+  const INDENTED_CODE_PATTERN = /^( {4}|\t)/;
+  
+  // =========================================================================
+  // HELPERS
+  // =========================================================================
+  
+  function escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+  
+  function isBlank(line) {
+    return line.trim().length === 0;
+  }
+  
+  function indentOf(line) {
+    return line.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length;
+  }
+  
+  /**
+   * Remove up to `count` columns of leading indentation
+   */
+  function dedent(line, count) {
+    let removed = 0;
+    let index = 0;
+    while (index < line.length && removed < count && (line[index] === ' ' || line[index] === '\t')) {
+      removed += line[index] === '\t' ? 4 : 1;
+      index++;
+    }
+    return line.slice(index);
+  }
+  
+  // Lines that end a paragraph without a blank line in between
+  function startsBlock(line) {
+    return FENCE_PATTERN.test(line) || ATX_HEADING_PATTERN.test(line) || RULE_PATTERN.test(line) ||
+           QUOTE_PATTERN.test(line) || LIST_ITEM_PATTERN.test(line) || HTML_BLOCK_PATTERN.test(line);
+  }
+  
+  // =========================================================================
+  // INLINE CONTENT
+  // =========================================================================
+  
+  /**
+   * Convert inline Markdown to HTML text: formatting markers are dropped,
+   * links and images become their label, inline HTML tags are kept
+   *
+   * @param {string} text - Inline Markdown
+   * @returns {string} HTML
+   */
+  function inlineToHTML(text) {
+    const stash = [];
+    const keep = (html) => {
+      stash.push(html);
+      return `\u0000${stash.length - 1}\u0000`;
+    };
+    
+    text = text
+      // Code spans and escaped characters are taken literally
+      .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => keep(escapeHtml(code.trim())))
+      .replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, (match, char) => keep(escapeHtml(char)))
+      // Autolinks, images and links
+      .replace(/<((?:https?|mailto):[^\s<>]+)>/gi, (match, url) => keep(escapeHtml(url)))
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/!\[([^\]]*)\]\[[^\]]*\]/g, '$1')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')
+      // Escape what is not an inline tag or an entity
+      .replace(/&(?!#?\w+;)/g, '&amp;')
+      .replace(/<(?![A-Za-z\/!])/g, '&lt;')
+      // Emphasis and strikethrough (underscores inside words are left alone)
+      .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2')
+      .replace(/\*(?=\S)([^*]*?\S)\*/g, '$1')
+      .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1$2')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '$1');
+    
+    return text.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[index]);
+  }
+  
+  // =========================================================================
+  // BLOCKS
+  // =========================================================================
+  
+  function splitTableRow(line) {
+    const cells = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1').split(/(?<!\\)\|/);
+    return cells.map(cell => cell.trim());
+  }
+  
+  function tableToHTML(lines) {
+    const [header, , ...rows] = lines;
+    const row = (line, tag) =>
+      `<tr>${splitTableRow(line).map(cell => `<${tag}>${inlineToHTML(cell)}</${tag}>`).join('')}</tr>`;
+    
+    return `<table>${row(header, 'th')}${rows.map(line => row(line, 'td')).join('')}</table>`;
+  }
+  
+  /**
+   * Render the lines of a list; each item's content is converted as Markdown
+   * in its own right, so nested lists, paragraphs and code blocks work
+   */
+  function listToHTML(lines) {
+    const first = lines[0].match(LIST_ITEM_PATTERN);
+    const ordered = /\d/.test(first[2]);
+    const baseIndent = first[1].length;
+    const items = [];
+    
+    lines.forEach(line => {
+      const marker = line.match(LIST_ITEM_PATTERN);
+      if (marker && marker[1].length <= baseIndent + 1) {
+        const contentIndent = marker[0].length;
+        items.push({ contentIndent, lines: [line.slice(contentIndent)] });
+      } else {
+        const item = items[items.length - 1];
+        item.lines.push(dedent(line, item.contentIndent));
+      }
+    });
+    
+    const start = ordered ? parseInt(first[2], 10) : 1;
+    const tag = ordered ? 'ol' : 'ul';
+    const startAttr = ordered && start !== 1 ? ` start="${start}"` : '';
+    
+    return `<${tag}${startAttr}>${items.map(item => `<li>${blocksToHTML(item.lines)}</li>`).join('')}</${tag}>`;
+  }
+  
+  /**
+   * Convert Markdown block lines to HTML
+   *
+   * @param {Array<string>} lines - Markdown lines
+   * @returns {string} HTML
+   */
+  function blocksToHTML(lines) {
+    const html = [];
+    let i = 0;
+    
+    while (i < lines.length) {
+      const line = lines[i];
+      
+      if (isBlank(line)) {
+        i++;
+        continue;
+      }
+      
+      // Fenced code: everything up to the closing fence
+      const fence = line.match(FENCE_PATTERN);
+      if (fence) {
+        const closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}[ \\t]*$`);
+        const code = [];
+        i++;
+        while (i < lines.length && !closing.test(lines[i])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++;
+        html.push(`<pre>${escapeHtml(code.join('\n'))}</pre>`);
+        continue;
+      }
+      
+      const heading = line.match(ATX_HEADING_PATTERN);
+      if (heading) {
+        const level = heading[1].length;
+        html.push(`<h${level}>${inlineToHTML(heading[2] || '')}</h${level}>`);
+        i++;
+        continue;
+      }
+      
+      if (RULE_PATTERN.test(line)) {
+        html.push('<hr>');
+        i++;
+        continue;
+      }
+      
+      if (QUOTE_PATTERN.test(line)) {
+        const quoted = [];
+        while (i < lines.length && !isBlank(lines[i])) {
+          quoted.push(lines[i].replace(QUOTE_PATTERN, ''));
+          i++;
+        }
+        html.push(`<blockquote>${blocksToHTML(quoted)}</blockquote>`);
+        continue;
+      }
+      
+      if (LIST_ITEM_PATTERN.test(line)) {
+        const baseIndent = line.match(LIST_ITEM_PATTERN)[1].length;
+        const listLines = [line];
+        i++;
+        
+        while (i < lines.length) {
+          if (!isBlank(lines[i])) {
+            // Stop at other blocks that start at the list's own level
+            const marker = LIST_ITEM_PATTERN.test(lines[i]);
+            if (!marker && indentOf(lines[i]) <= baseIndent && startsBlock(lines[i])) break;
+            listLines.push(lines[i]);
+            i++;
+            continue;
+          }
+          
+          // After a blank line the list goes on only with another item or indented content
+          let next = i;
+          while (next < lines.length && isBlank(lines[next])) next++;
+          if (next === lines.length) break;
+          
+          const continues = indentOf(lines[next]) > baseIndent + 1 ||
+                            (LIST_ITEM_PATTERN.test(lines[next]) && indentOf(lines[next]) <= baseIndent + 1);
+          if (!continues) break;
+          
+          listLines.push(...lines.slice(i, next));
+          i = next;
+        }
+        
+        html.push(listToHTML(listLines));
+        continue;
+      }
+      
+      if (line.includes('|') && i + 1 < lines.length && TABLE_DELIMITER_PATTERN.test(lines[i + 1]) &&
+          lines[i + 1].includes('-')) {
+        const tableLines = [];
+        while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+          tableLines.push(lines[i]);
+          i++;
+        }
+        html.push(tableToHTML(tableLines));
+        continue;
+      }
+      
+      if (HTML_BLOCK_PATTERN.test(line)) {
+        const block = [];
+        while (i < lines.length && !isBlank(lines[i])) {
+          block.push(lines[i]);
+          i++;
+        }
+        html.push(block.join('\n'));
+        continue;
+      }
+      
+      // Link reference definitions are not content
+      if (REFERENCE_PATTERN.test(line)) {
+        i++;
+        continue;
+      }
+      
+      if (INDENTED_CODE_PATTERN.test(line)) {
+        const code = [];
+        while (i < lines.length && (INDENTED_CODE_PATTERN.test(lines[i]) || isBlank(lines[i]))) {
+          code.push(dedent(lines[i], 4));
+          i++;
+        }
+        html.push(`<pre>${escapeHtml(code.join('\n').trim())}</pre>`);
+        continue;
+      }
+      
+      // Paragraph, or a setext heading when underlined with = or -
+      const paragraph = [line];
+      i++;
+      let setextLevel = 0;
+      
+      while (i < lines.length && !isBlank(lines[i])) {
+        const underline = lines[i].match(SETEXT_PATTERN);
+        if (underline) {
+          setextLevel = underline[1][0] === '=' ? 1 : 2;
+          i++;
+          break;
+        }
+        if (startsBlock(lines[i])) break;
+        paragraph.push(lines[i]);
+        i++;
+      }
+      
+      const text = inlineToHTML(paragraph.map(part => part.trim()).join('\n'));
+      html.push(setextLevel ? `<h${setextLevel}>${text}</h${setextLevel}>` : `<p>${text}</p>`);
+    }
+    
+    return html.join('\n');
+  }
+  
+  // =========================================================================
+  // PUBLIC API
+  // =========================================================================
+  
+  /**
+   * Split YAML front matter ("---" lines at the very top) from the Markdown
+   * Only flat "key: value" pairs are read
+   *
+   * @param {string} source - Markdown source
+   * @returns {Object} {attributes, body} - attributes keyed by lowercase name
+   */
+  function splitFrontMatter(source) {
+    const match = source.match(/^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+    if (!match) {
+      return { attributes: {}, body: source };
+    }
+    
+    const attributes = {};
+    match[1].split(/\r?\n/).forEach(line => {
+      const pair = line.match(/^([A-Za-z][\w-]*)[ \t]*:[ \t]*(.*)$/);
+      if (pair && pair[2].trim()) {
+        attributes[pair[1].toLowerCase()] = pair[2].trim().replace(/^(["'])(.*)\1$/, '$2');
+      }
+    });
+    
+    return { attributes, body: source.slice(match[0].length) };
+  }
+  
+  /**
+   * Convert Markdown to HTML (front matter is left out)
+   *
+   * @param {string} source - Markdown source
+   * @returns {string} HTML
+   */
+  function toHTML(source) {
+    const { body } = splitFrontMatter(source);
+    return blocksToHTML(body.replace(/\r\n?/g, '\n').split('\n'));
+  }
+  
+  window.InvantiaMarkdown = {
+    toHTML,
+    splitFrontMatter
+  };
+  
+  console.log('Markdown converter loaded');
+
+})();
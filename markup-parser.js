@@ -0,0 +1,307 @@
+// ~/fastapi_app/static/desktop/markup-parser.js
+// Lightweight HTML/XML Parser - builds a plain element tree without touching the DOM
+//
+// Used by the document processor for mammoth HTML output and other markup formats.
+// Nothing is rendered or executed: script, style and similar elements are dropped
+// with their content, and the parser works the same in pages and workers.
+
+(function() {
+  'use strict';
+  
+  // =========================================================================
+  // CONFIGURATION
+  // =========================================================================
+  
+  // HTML elements that never have children
+  const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+  ]);
+  
+  // HTML elements dropped together with their content
+  const DROPPED_ELEMENTS = new Set([
+    'script', 'style', 'noscript', 'template', 'iframe', 'object', 'svg', 'math'
+  ]);
+  
+  // Opening one of these closes an open sibling of the listed kinds (HTML only)
+  const IMPLIED_END_TAGS = {
+    li: ['li'],
+    dt: ['dt', 'dd'],
+    dd: ['dt', 'dd'],
+    tr: ['tr', 'td', 'th'],
+    td: ['td', 'th'],
+    th: ['td', 'th'],
+    option: ['option']
+  };
+  
+  // Block elements that close an open paragraph (HTML only)
+  const CLOSES_PARAGRAPH = new Set([
+    'p', 'div', 'ul', 'ol', 'dl', 'table', 'pre', 'blockquote', 'section', 'article',
+    'header', 'footer', 'aside', 'nav', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'form'
+  ]);
+  
+  const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0',
+    ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’',
+    ldquo: '“', rdquo: '”', hellip: '…', bull: '•',
+    middot: '·', sect: '§', para: '¶', copy: '©',
+    reg: '®', trade: '™', deg: '°', euro: '€',
+    pound: '£', yen: '¥', cent: '¢', times: '×',
+    divide: '÷', shy: '\u00ad', laquo: '«', raquo: '»'
+  };
+  
+  const OPEN_TAG_PATTERN = /<([A-Za-z][\w:.-]*)((?:\s+[^\s=\/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/y;
+  const CLOSE_TAG_PATTERN = /<\/([A-Za-z][\w:.-]*)\s*>/y;
+  const ATTRIBUTE_PATTERN = /([^\s=\/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  
+  // =========================================================================
+  // ENTITY DECODING
+  // =========================================================================
+  
+  /**
+   * Decode character references (&amp;, &#8217;, &#x2019;)
+   * Unknown named entities are left as written
+   */
+  function decodeEntities(text) {
+    if (text.indexOf('&') === -1) return text;
+    
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z][a-zA-Z0-9]*);/g, (match, entity) => {
+      if (entity[0] === '#') {
+        const codePoint = entity[1] === 'x' || entity[1] === 'X'
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+        
+        if (!codePoint || codePoint > 0x10FFFF) return match;
+        return String.fromCodePoint(codePoint);
+      }
+      
+      const named = NAMED_ENTITIES[entity] ?? NAMED_ENTITIES[entity.toLowerCase()];
+      return named !== undefined ? named : match;
+    });
+  }
+  
+  // =========================================================================
+  // PARSING
+  // =========================================================================
+  
+  function parseAttributes(source, html) {
+    const attrs = {};
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+    
+    let match;
+    while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+      const name = html ? match[1].toLowerCase() : match[1];
+      const value = match[2] ?? match[3] ?? match[4] ?? '';
+      attrs[name] = decodeEntities(value);
+    }
+    
+    return attrs;
+  }
+  
+  /**
+   * Parse markup into a tree of plain objects
+   * Elements: {type: 'element', name, attrs, children}
+   * Text:     {type: 'text', text}
+   *
+   * Malformed markup is tolerated: stray close tags are ignored and
+   * unclosed elements are closed at the end of their parent.
+   *
+   * @param {string} source - HTML or XML source
+   * @param {Object} options - {html: true} for HTML rules (case folding, void and dropped elements)
+   * @returns {Object} Root element named '#document'
+   */
+  function parseMarkup(source, options = {}) {
+    const html = options.html !== false;
+    const root = { type: 'element', name: '#document', attrs: {}, children: [] };
+    const stack = [root];
+    
+    const current = () => stack[stack.length - 1];
+    
+    const closeTo = (index) => {
+      stack.length = Math.max(1, index);
+    };
+    
+    const addText = (text) => {
+      if (text.length === 0) return;
+      current().children.push({ type: 'text', text: decodeEntities(text) });
+    };
+    
+    let pos = 0;
+    
+    while (pos < source.length) {
+      const lt = source.indexOf('<', pos);
+      
+      if (lt === -1) {
+        addText(source.slice(pos));
+        break;
+      }
+      
+      addText(source.slice(pos, lt));
+      pos = lt;
+      
+      // Comments
+      if (source.startsWith('<!--', pos)) {
+        const end = source.indexOf('-->', pos + 4);
+        pos = end === -1 ? source.length : end + 3;
+        continue;
+      }
+      
+      // CDATA sections are literal text
+      if (source.startsWith('<![CDATA[', pos)) {
+        const end = source.indexOf(']]>', pos + 9);
+        const text = source.slice(pos + 9, end === -1 ? source.length : end);
+        current().children.push({ type: 'text', text: text });
+        pos = end === -1 ? source.length : end + 3;
+        continue;
+      }
+      
+      // Doctype and processing instructions
+      if (source[pos + 1] === '!' || source[pos + 1] === '?') {
+        const end = source.indexOf('>', pos);
+        pos = end === -1 ? source.length : end + 1;
+        continue;
+      }
+      
+      // Close tag
+      CLOSE_TAG_PATTERN.lastIndex = pos;
+      const closeMatch = CLOSE_TAG_PATTERN.exec(source);
+      if (closeMatch) {
+        const name = html ? closeMatch[1].toLowerCase() : closeMatch[1];
+        
+        for (let i = stack.length - 1; i > 0; i--) {
+          if (stack[i].name === name) {
+            closeTo(i);
+            break;
+          }
+        }
+        
+        pos = CLOSE_TAG_PATTERN.lastIndex;
+        continue;
+      }
+      
+      // Open tag
+      OPEN_TAG_PATTERN.lastIndex = pos;
+      const openMatch = OPEN_TAG_PATTERN.exec(source);
+      if (!openMatch) {
+        // A lone '<' is just text
+        addText('<');
+        pos += 1;
+        continue;
+      }
+      
+      pos = OPEN_TAG_PATTERN.lastIndex;
+      
+      const name = html ? openMatch[1].toLowerCase() : openMatch[1];
+      const selfClosing = openMatch[3] === '/' || (html && VOID_ELEMENTS.has(name));
+      
+      // Skip dropped elements and everything inside them
+      if (html && DROPPED_ELEMENTS.has(name)) {
+        if (!selfClosing) {
+          const endPattern = new RegExp(`</${name}\\s*>`, 'ig');
+          endPattern.lastIndex = pos;
+          const endMatch = endPattern.exec(source);
+          pos = endMatch ? endPattern.lastIndex : source.length;
+        }
+        continue;
+      }
+      
+      if (html) {
+        const implied = IMPLIED_END_TAGS[name];
+        while (implied && implied.includes(current().name)) {
+          stack.pop();
+        }
+        if (CLOSES_PARAGRAPH.has(name) && current().name === 'p') {
+          stack.pop();
+        }
+      }
+      
+      const element = {
+        type: 'element',
+        name: name,
+        attrs: parseAttributes(openMatch[2], html),
+        children: []
+      };
+      
+      current().children.push(element);
+      
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    }
+    
+    return root;
+  }
+  
+  // =========================================================================
+  // TREE HELPERS
+  // =========================================================================
+  
+  /**
+   * Element name without its namespace prefix ("x:row" -> "row")
+   */
+  function localName(name) {
+    const colon = name.indexOf(':');
+    return colon === -1 ? name : name.slice(colon + 1);
+  }
+  
+  /**
+   * Concatenated text of a node and its descendants
+   */
+  function getText(node) {
+    if (!node) return '';
+    if (node.type === 'text') return node.text;
+    return node.children.map(getText).join('');
+  }
+  
+  /**
+   * All descendant elements matching a name (or predicate), in document order
+   */
+  function findAll(node, match) {
+    const test = typeof match === 'function' ? match : (el => el.name === match);
+    const results = [];
+    
+    const visit = (parent) => {
+      for (const child of parent.children) {
+        if (child.type !== 'element') continue;
+        if (test(child)) results.push(child);
+        visit(child);
+      }
+    };
+    
+    if (node) visit(node);
+    return results;
+  }
+  
+  /**
+   * First descendant element matching a name (or predicate)
+   */
+  function findFirst(node, match) {
+    const test = typeof match === 'function' ? match : (el => el.name === match);
+    if (!node) return null;
+    
+    for (const child of node.children) {
+      if (child.type !== 'element') continue;
+      if (test(child)) return child;
+      const found = findFirst(child, test);
+      if (found) return found;
+    }
+    
+    return null;
+  }
+  
+  // =========================================================================
+  // PUBLIC API
+  // =========================================================================
+  
+  window.InvantiaMarkup = {
+    parseMarkup,
+    decodeEntities,
+    localName,
+    getText,
+    findAll,
+    findFirst
+  };
+  
+  console.log('Markup parser loaded');
+
+})();
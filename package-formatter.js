@@ -106,7 +106,7 @@ function buildDocumentSection(docId, chunks) {
     // Add each chunk
     sortedChunks.forEach(chunk => {
         section += `\n[[chunk ${chunk.chunkNumber}]]\n`;
-        section += chunk.content;
+        section += chunk.rawContent || chunk.content;
         section += `\n[[/chunk]]\n`;
     });
     
@@ -232,7 +232,7 @@ function splitDocumentChunks(docId, chunks, maxSize) {
     let currentSize = 0;
     
     chunks.forEach(chunk => {
-        const chunkFormatted = `\n[[chunk ${chunk.chunkNumber}]]\n${chunk.content}\n[[/chunk]]\n`;
+        const chunkFormatted = `\n[[chunk ${chunk.chunkNumber}]]\n${chunk.rawContent || chunk.content}\n[[/chunk]]\n`;
         
         if (currentSize + chunkFormatted.length > maxSize && currentChunks.length > 0) {
             // Save current part
@@ -16,12 +16,17 @@
     accountTier: null,
     maxCharsPerSuperChunk: 0,
     maxPackageSize: 0,
+    sizeUnit: 'characters',
+    tokenEncoding: null,
     queryTopics: [],
     topicIdCounter: 1,
     vectorizationEnabled: false,
     maxTopics: 5,
     limitSuperChunks: true,
     maxSuperChunksPerTopic: 3,
+    documentFilter: { person: '', dateFrom: '', dateTo: '' },
+    listedDocuments: [],
+    listedFolders: [],
     searchInProgress: false
   };
 
@@ -125,6 +130,7 @@
       console.log('⚠ Vectorization not available - exact matching only');
     }
     
+    renderProfileOptions();
     await loadDocumentsAndCollections();
     
     const stats = await window.InvantiaDB.getStats();
@@ -138,29 +144,67 @@
 
   async function loadDocumentsAndCollections() {
     try {
-      const documents = await window.InvantiaDB.getAllDocuments();
+      const allDocuments = await window.InvantiaDB.getAllDocuments();
+      const originalIds = new Set(await window.InvantiaDB.getOriginalDocumentIds());
       const docContainer = document.getElementById('documentCheckboxes');
       
-      if (documents.length === 0) {
+      // One entry per versioned document: its searchable version
+      const searchable = allDocuments.filter(doc => doc.isSearchable !== false);
+      const documents = searchable.filter(doc => 
+        window.InvantiaSearch.matchesDocumentFilter(doc, state.documentFilter));
+      
+      if (searchable.length === 0) {
         docContainer.innerHTML = '<p class="muted sm">No documents available. Upload documents first.</p>';
+      } else if (documents.length === 0) {
+        docContainer.innerHTML = '<p class="muted sm">No documents match the filter.</p>';
       } else {
         docContainer.innerHTML = '';
-        documents.forEach(doc => {
+        
+        const appendDocument = (doc, depth) => {
+          const versions = doc.versionGroupId
+            ? allDocuments
+                .filter(version => version.versionGroupId === doc.versionGroupId)
+                .sort((a, b) => a.version - b.version)
+            : [];
+          
           const label = document.createElement('label');
           label.className = 'checkbox-label';
+          label.style.marginLeft = `${depth * 1.25}rem`;
           label.innerHTML = `
             <input 
               type="checkbox" 
               name="selectedDocs" 
               value="${doc.id}"
+              ${state.selectedDocuments.includes(doc.id) ? 'checked' : ''}
               onchange="window.QueryBuilder.handleDocumentSelection()"
             >
-            ${escapeHtml(doc.name)} <span class="sm muted">(${formatBytes(doc.size)})</span>
+            ${escapeHtml(doc.name)} <span class="sm muted">(${escapeHtml(describeDocument(doc))})</span>
+            ${doc.textLayer ? renderTextLayerBadge(doc.textLayer) : ''}
+            ${versions.length > 1 ? renderVersionSelect(doc, versions) : ''}
+            ${originalIds.has(doc.id) ? renderReprocessButton(doc) : ''}
           `;
           docContainer.appendChild(label);
+        };
+        
+        // Loose files first, then the folder tree (uploaded folders and ZIP contents)
+        documents.filter(doc => !doc.folderPath).forEach(doc => appendDocument(doc, 0));
+        
+        state.listedFolders = listFolders(documents);
+        state.listedFolders.forEach((path, index) => {
+          const depth = path.split('/').length - 1;
+          docContainer.appendChild(renderFolderLabel(path, index, depth, documents));
+          documents
+            .filter(doc => doc.folderPath === path)
+            .forEach(doc => appendDocument(doc, depth + 1));
         });
       }
       
+      // Drop selections whose document (or version) is no longer listed
+      state.selectedDocuments = state.selectedDocuments.filter(id => documents.some(doc => doc.id === id));
+      state.listedDocuments = documents;
+      updateFolderCheckboxes();
+      updateTextLayerWarning();
+      
       const collections = await window.InvantiaDB.getAllCollections();
       const collectionSelect = document.getElementById('collectionSelect');
       
@@ -172,6 +216,7 @@
           const option = document.createElement('option');
           option.value = coll.id;
           option.textContent = coll.name;
+          option.selected = coll.id === state.selectedCollection;
           collectionSelect.appendChild(option);
         });
       }
@@ -181,6 +226,263 @@
     }
   }
 
+  /**
+   * Size plus the custodian and date known for a document, and its chunking
+   * profile unless it is the standard one
+   * e.g. "1.2 MB, Jane Doe, 2023-04-11, Contracts"
+   */
+  function describeDocument(doc) {
+    const properties = doc.properties || {};
+    const email = doc.email || {};
+    const person = properties.author || properties.lastModifiedBy || email.from;
+    const date = properties.createdDate || properties.modifiedDate || email.date;
+    const profile = doc.chunkingProfile && doc.chunkingProfile !== window.InvantiaConfig.DEFAULT_CHUNKING_PROFILE
+      ? window.InvantiaConfig.getChunkingProfile(doc.chunkingProfile).name
+      : null;
+    
+    const overlap = doc.chunkOverlap ? 'overlapping chunks' : null;
+    
+    return [formatBytes(doc.size), person, date && date.slice(0, 10), profile, overlap].filter(Boolean).join(', ');
+  }
+
+  /**
+   * Every folder holding documents, plus the folders above it, parents before children
+   */
+  function listFolders(documents) {
+    const folders = new Set();
+    
+    documents.forEach(doc => {
+      if (!doc.folderPath) return;
+      const segments = doc.folderPath.split('/');
+      for (let i = 1; i <= segments.length; i++) {
+        folders.add(segments.slice(0, i).join('/'));
+      }
+    });
+    
+    // Compare segment by segment so "Matter/Sub" stays right under "Matter"
+    return Array.from(folders).sort((a, b) => {
+      const segmentsA = a.split('/');
+      const segmentsB = b.split('/');
+      for (let i = 0; i < Math.min(segmentsA.length, segmentsB.length); i++) {
+        const order = segmentsA[i].localeCompare(segmentsB[i]);
+        if (order !== 0) return order;
+      }
+      return segmentsA.length - segmentsB.length;
+    });
+  }
+
+  function documentsInFolder(documents, path) {
+    return documents.filter(doc => 
+      doc.folderPath && (doc.folderPath === path || doc.folderPath.startsWith(`${path}/`)));
+  }
+
+  function renderFolderLabel(path, index, depth, documents) {
+    const count = documentsInFolder(documents, path).length;
+    
+    const label = document.createElement('label');
+    label.className = 'checkbox-label folder-label';
+    label.style.marginLeft = `${depth * 1.25}rem`;
+    label.innerHTML = `
+      <input 
+        type="checkbox" 
+        name="selectedFolders" 
+        data-folder-index="${index}"
+        onchange="window.QueryBuilder.handleFolderSelection(${index}, this.checked)"
+      >
+      📁 ${escapeHtml(path.split('/').pop())} <span class="sm muted">(${count} document${count === 1 ? '' : 's'})</span>
+    `;
+    return label;
+  }
+
+  /**
+   * A folder is checked when every document in it (and below it) is selected
+   */
+  function updateFolderCheckboxes() {
+    document.querySelectorAll('input[name="selectedFolders"]').forEach(checkbox => {
+      const path = state.listedFolders[parseInt(checkbox.dataset.folderIndex)];
+      const ids = documentsInFolder(state.listedDocuments, path).map(doc => doc.id);
+      checkbox.checked = ids.length > 0 && ids.every(id => state.selectedDocuments.includes(id));
+    });
+  }
+
+  function renderTextLayerBadge(textLayer) {
+    const label = textLayer.status === 'missing'
+      ? 'No text layer - needs OCR'
+      : `${textLayer.pagesWithoutText.length} of ${textLayer.pageCount} pages need OCR`;
+    
+    return `<span class="text-layer-badge" title="Scanned pages have no searchable text">${label}</span>`;
+  }
+
+  /**
+   * Warn when selected documents are (partly) scans: their scanned pages
+   * have no text, so searches cannot find anything on them
+   */
+  function updateTextLayerWarning() {
+    const warning = document.getElementById('textLayerWarning');
+    if (!warning) return;
+    
+    const flagged = state.listedDocuments.filter(doc => 
+      doc.textLayer && state.selectedDocuments.includes(doc.id));
+    
+    if (flagged.length === 0) {
+      warning.style.display = 'none';
+      return;
+    }
+    
+    const describe = doc => doc.textLayer.status === 'missing'
+      ? `${doc.name} (all pages)`
+      : `${doc.name} (page${doc.textLayer.pagesWithoutText.length > 1 ? 's' : ''} ${formatPageList(doc.textLayer.pagesWithoutText)})`;
+    
+    warning.innerHTML = `
+      ⚠️ ${flagged.length} selected document(s) have scanned pages without a text layer.
+      Nothing on those pages can be found until the file is OCR'd and uploaded again:
+      ${escapeHtml(flagged.map(describe).join(', '))}
+    `;
+    warning.style.display = 'block';
+  }
+
+  function formatPageList(pageNumbers) {
+    const maxListed = 10;
+    const listed = pageNumbers.slice(0, maxListed).join(', ');
+    return pageNumbers.length > maxListed ? `${listed}, ...` : listed;
+  }
+
+  function renderVersionSelect(doc, versions) {
+    const options = versions.map(version => `
+      <option value="${version.id}" ${version.id === doc.id ? 'selected' : ''}>
+        v${version.version} (${new Date(version.uploadDate).toLocaleDateString()})
+      </option>
+    `).join('');
+    
+    return `
+      <select 
+        class="sm" 
+        title="Version to search"
+        onchange="window.QueryBuilder.handleVersionChange(${doc.id}, this.value)"
+      >${options}</select>
+    `;
+  }
+
+  /**
+   * Search another version of a document; the selection follows the switch
+   */
+  async function handleVersionChange(currentId, newId) {
+    newId = parseInt(newId);
+    
+    try {
+      await window.InvantiaDB.setSearchableVersion(newId);
+      state.selectedDocuments = state.selectedDocuments.map(id => id === currentId ? newId : id);
+      await loadDocumentsAndCollections();
+      checkPrerequisites();
+    } catch (error) {
+      console.error('Error changing document version:', error);
+      alert('Error changing version: ' + error.message);
+    }
+  }
+
+  /**
+   * Documents uploaded with "keep original files" can be reprocessed from them
+   */
+  function renderReprocessButton(doc) {
+    return `
+      <button 
+        class="btn btn-secondary btn-sm" 
+        title="Extract and chunk this document again from its original file"
+        onclick="event.preventDefault(); window.QueryBuilder.reprocessDocument(${doc.id})"
+      >Reprocess</button>
+    `;
+  }
+
+  /**
+   * Queue a document for reprocessing; the list refreshes when the queue is done
+   */
+  async function reprocessDocument(documentId) {
+    try {
+      await window.InvantiaQueue.reprocess(documentId);
+    } catch (error) {
+      console.error('Error reprocessing document:', error);
+      alert('Error reprocessing document: ' + error.message);
+    }
+  }
+
+  // =========================================================================
+  // CHUNKING PROFILES (RE-CHUNKING)
+  // =========================================================================
+  
+  function renderProfileOptions() {
+    const options = Object.values(window.InvantiaConfig.CHUNKING_PROFILES).map(profile =>
+      `<option value="${profile.id}">${escapeHtml(profile.name)} - ${escapeHtml(profile.description)}</option>`
+    ).join('');
+    
+    ['documentProfileSelect', 'collectionProfileSelect'].forEach(id => {
+      const select = document.getElementById(id);
+      const value = select.value || window.InvantiaConfig.DEFAULT_CHUNKING_PROFILE;
+      select.innerHTML = options;
+      select.value = value;
+    });
+  }
+
+  /**
+   * Run a re-chunking task with its button disabled, then refresh the document list
+   */
+  async function runRechunk(button, task) {
+    const label = button.textContent;
+    button.disabled = true;
+    button.textContent = 'Re-chunking...';
+    
+    try {
+      const message = await task((status) => { button.textContent = status; });
+      await loadDocumentsAndCollections();
+      alert(message);
+    } catch (error) {
+      console.error('Error re-chunking:', error);
+      alert('Error re-chunking: ' + error.message);
+    } finally {
+      button.disabled = false;
+      button.textContent = label;
+    }
+  }
+
+  /**
+   * Rebuild the chunks of the selected documents with the chosen profile
+   */
+  async function rechunkSelectedDocuments(button) {
+    const profileId = document.getElementById('documentProfileSelect').value;
+    const documentIds = state.selectedDocuments.slice();
+    
+    if (documentIds.length === 0) {
+      alert('Select the documents to re-chunk first.');
+      return;
+    }
+    
+    const profile = window.InvantiaConfig.getChunkingProfile(profileId);
+    await runRechunk(button, async (onStatus) => {
+      for (let i = 0; i < documentIds.length; i++) {
+        onStatus(`Re-chunking ${i + 1} of ${documentIds.length}...`);
+        await window.InvantiaDocProcessor.rechunkDocument(documentIds[i], profile.id);
+      }
+      return `Re-chunked ${documentIds.length} document(s) with the ${profile.name} profile.`;
+    });
+  }
+
+  /**
+   * Assign the chosen profile to the selected collection and re-chunk its documents
+   */
+  async function rechunkSelectedCollection(button) {
+    const profileId = document.getElementById('collectionProfileSelect').value;
+    
+    if (!state.selectedCollection) {
+      alert('Select a collection first.');
+      return;
+    }
+    
+    const profile = window.InvantiaConfig.getChunkingProfile(profileId);
+    await runRechunk(button, async (onStatus) => {
+      const count = await window.InvantiaDocProcessor.rechunkCollection(state.selectedCollection, profile.id, onStatus);
+      return `Re-chunked ${count} document(s) with the ${profile.name} profile. New uploads to this collection use it too.`;
+    });
+  }
+
   function showNoDocumentsMessage() {
     const container = document.getElementById('queryBuilderContainer');
     container.style.display = 'block';
@@ -213,6 +515,7 @@
       state.selectedDocuments = [];
     }
     
+    updateTextLayerWarning();
     checkPrerequisites();
   }
 
@@ -220,14 +523,52 @@
     const checkboxes = document.querySelectorAll('input[name="selectedDocs"]:checked');
     state.selectedDocuments = Array.from(checkboxes).map(cb => parseInt(cb.value));
     
+    updateFolderCheckboxes();
+    updateTextLayerWarning();
     checkPrerequisites();
   }
 
-  function handleCollectionSelection() {
+  /**
+   * Select or clear every document in a folder and its subfolders
+   */
+  function handleFolderSelection(folderIndex, checked) {
+    const path = state.listedFolders[folderIndex];
+    const ids = documentsInFolder(state.listedDocuments, path).map(doc => doc.id);
+    
+    document.querySelectorAll('input[name="selectedDocs"]').forEach(checkbox => {
+      if (ids.includes(parseInt(checkbox.value))) {
+        checkbox.checked = checked;
+      }
+    });
+    
+    handleDocumentSelection();
+  }
+
+  /**
+   * Narrow documents by custodian and date; applies to the document list
+   * and to collection searches
+   */
+  async function handleFilterChange() {
+    state.documentFilter = {
+      person: document.getElementById('filterPerson').value.trim(),
+      dateFrom: document.getElementById('filterDateFrom').value,
+      dateTo: document.getElementById('filterDateTo').value
+    };
+    
+    await loadDocumentsAndCollections();
+    checkPrerequisites();
+  }
+
+  async function handleCollectionSelection() {
     const select = document.getElementById('collectionSelect');
     state.selectedCollection = select.value ? parseInt(select.value) : null;
     
     checkPrerequisites();
+    
+    // Show the profile the collection's documents are chunked with
+    const collection = state.selectedCollection ? await window.InvantiaDB.getCollection(state.selectedCollection) : null;
+    document.getElementById('collectionProfileSelect').value =
+      collection?.chunkingProfile || window.InvantiaConfig.DEFAULT_CHUNKING_PROFILE;
   }
 
   function checkPrerequisites() {
@@ -268,6 +609,19 @@
     showQueryBuilder();
   }
 
+  /**
+   * Budget super chunks in characters (paste limits) or in tokens estimated
+   * for one model family's tokenizer (context windows)
+   */
+  function handleSizeUnitChange() {
+    const value = document.getElementById('sizeUnitSelect').value;
+    
+    state.sizeUnit = value === 'characters' ? 'characters' : 'tokens';
+    state.tokenEncoding = value === 'characters' ? null : value;
+    
+    console.log(`Super chunk size unit: ${state.sizeUnit}${state.tokenEncoding ? ` (${state.tokenEncoding})` : ''}`);
+  }
+
   function showQueryBuilder() {
     document.getElementById('queryBuilderContainer').style.display = 'block';
     document.getElementById('searchButtonSection').style.display = 'block';
@@ -534,8 +888,18 @@
       // Collections don't store documentIds directly
       // Instead, chunks have collectionId - get unique document IDs from chunks
       const chunks = await window.InvantiaDB.getChunksByCollection(query.collectionId);
-      const uniqueDocIds = [...new Set(chunks.map(c => c.documentId))];
+      const unsearchable = await window.InvantiaDB.getUnsearchableDocumentIds();
+      const uniqueDocIds = [...new Set(chunks.map(c => c.documentId))].filter(id => !unsearchable.has(id));
       documentIds = uniqueDocIds;
+      
+      const filter = query.documentFilter;
+      if (filter && (filter.person || filter.dateFrom || filter.dateTo)) {
+        const documents = await window.InvantiaDB.getAllDocuments();
+        documentIds = documents
+          .filter(doc => documentIds.includes(doc.id) && 
+                         window.InvantiaSearch.matchesDocumentFilter(doc, filter))
+          .map(doc => doc.id);
+      }
       console.log(`Collection contains ${documentIds.length} documents (from ${chunks.length} chunks)`);
     }
     
@@ -624,9 +988,13 @@
       tierName: tierConfig.name,
       maxCharsPerSuperChunk: state.maxCharsPerSuperChunk,
       maxPackageSize: state.maxPackageSize,
+      maxTokensPerSuperChunk: tierConfig.superChunkTokens,
+      sizeUnit: state.sizeUnit,
+      tokenEncoding: state.tokenEncoding,
       sourceType: state.sourceType,
       documentIds: state.sourceType === 'documents' ? state.selectedDocuments : [],
       collectionId: state.sourceType === 'collection' ? state.selectedCollection : null,
+      documentFilter: { ...state.documentFilter },
       vectorizationEnabled: state.vectorizationEnabled,
       limitSuperChunks: state.limitSuperChunks,
       maxSuperChunksPerTopic: state.maxSuperChunksPerTopic,
@@ -750,7 +1118,8 @@
       if (topic.expandedConcepts) {
         inclusionConcepts = topic.expandedConcepts;
       } else {
-        const words = topic.question
+        // Same normalization as document text, so curly quotes and ligatures still match
+        const words = window.InvantiaDocProcessor.normalizeText(topic.question)
           .toLowerCase()
           .replace(/[?.,!]/g, '')
           .split(/\s+/)
@@ -782,9 +1151,13 @@
       tierName: query.tierName,
       maxCharsPerSuperChunk: query.maxCharsPerSuperChunk,
       maxPackageSize: query.maxPackageSize,
+      maxTokensPerSuperChunk: query.maxTokensPerSuperChunk,
+      sizeUnit: query.sizeUnit,
+      tokenEncoding: query.tokenEncoding,
       sourceType: query.sourceType,
       documentIds: query.documentIds,
       collectionId: query.collectionId,
+      documentFilter: query.documentFilter,
       vectorizationApplied: query.vectorizationApplied,
       limitSuperChunks: query.limitSuperChunks,
       maxSuperChunksPerTopic: query.maxSuperChunksPerTopic,
@@ -818,9 +1191,17 @@
       isSplit: results.superChunks.length > 1,
       totalParts: results.superChunks.length,
       parts: results.superChunks.map(sc => sc.formattedContent),
-      characterCount: results.superChunks.reduce((sum, sc) => sum + sc.charCount, 0)
+      characterCount: results.superChunks.reduce((sum, sc) => sum + sc.charCount, 0),
+      tokenCount: results.superChunks.reduce((sum, sc) => sum + sc.tokenCount, 0)
     };
     
+    const encoding = window.InvantiaTokenizer.ENCODINGS[query.tokenEncoding || window.InvantiaTokenizer.DEFAULT_ENCODING];
+    const budget = window.InvantiaConfig.validatePackageSize(
+      query.sizeUnit === 'tokens' ? packageData.tokenCount : packageData.characterCount,
+      query.accountTier,
+      query.sizeUnit
+    );
+    
     // Add header with vector status
     const vectorStatus = query.vectorizationApplied 
       ? '✓ Semantic expansion with scoring applied'
@@ -829,8 +1210,9 @@
     container.innerHTML = `
       <div class="results-header" style="margin-bottom: 1rem;">
         <p class="muted">
-          ${formatNumber(packageData.characterCount)} total characters in ${packageData.totalParts} super chunk(s) · ${vectorStatus}
+          ${formatNumber(packageData.characterCount)} total characters (~${formatNumber(packageData.tokenCount)} tokens for ${escapeHtml(encoding.name)}) in ${packageData.totalParts} super chunk(s) · ${vectorStatus}
         </p>
+        ${budget.exceedsLimit ? `<p class="sm muted">Over the ${escapeHtml(budget.tierName)} package budget of ${formatNumber(window.InvantiaConfig.getSizeLimits(query.accountTier, query.sizeUnit).packageSize)} ${budget.unit} - consider limiting super chunks per topic.</p>` : ''}
       </div>
     `;
     
@@ -839,6 +1221,10 @@
       const card = document.createElement('div');
       card.className = 'superchunk-card';
       
+      const pageCitations = (superChunk.pageCitations || [])
+        .map(c => `${escapeHtml(c.documentName)} ${c.pages}`)
+        .join('; ');
+      
       card.innerHTML = `
         <div class="superchunk-header" onclick="toggleSuperChunk(this)">
           <div>
@@ -846,8 +1232,9 @@
               Super Chunk ${index + 1} of ${results.superChunks.length}
             </div>
             <div class="superchunk-meta">
-              ${superChunk.chunkCount} chunks · ${formatNumber(superChunk.charCount)} characters
+              ${superChunk.chunkCount} chunks · ${formatNumber(superChunk.charCount)} characters · ~${formatNumber(superChunk.tokenCount)} tokens
             </div>
+            ${pageCitations ? `<div class="superchunk-meta">Pages: ${pageCitations}</div>` : ''}
           </div>
           <div style="display: flex; align-items: center; gap: 1rem;">
             <button 
@@ -941,8 +1328,15 @@
     initialize: initializeQueryBuilder,
     handleSourceTypeChange: handleSourceTypeChange,
     handleDocumentSelection: handleDocumentSelection,
+    handleFolderSelection: handleFolderSelection,
+    handleVersionChange: handleVersionChange,
+    reprocessDocument: reprocessDocument,
+    rechunkSelectedDocuments: rechunkSelectedDocuments,
+    rechunkSelectedCollection: rechunkSelectedCollection,
+    handleFilterChange: handleFilterChange,
     handleCollectionSelection: handleCollectionSelection,
     handleTierChange: handleTierChange,
+    handleSizeUnitChange: handleSizeUnitChange,
     addQueryTopic: addQueryTopic,
     removeQueryTopic: removeQueryTopic,
     updateTopicField: updateTopicField,
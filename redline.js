@@ -0,0 +1,496 @@
+// ~/fastapi_app/static/desktop/redline.js
+// Redline Comparison - sentence-level diff of two stored documents
+//
+// Compares the stored content of two documents (typically two versions of a
+// contract), groups the differences into changed clauses, renders them side
+// by side and exports them as a chat package for impact analysis.
+// Sentences are matched on the normalized content and shown as raw text.
+//
+// Depends on chunker.js (splitIntoSentences), document-processor.js
+// (alignRawOffsets) and package-formatter.js.
+
+(function() {
+  'use strict';
+  
+  // =========================================================================
+  // CONFIGURATION
+  // =========================================================================
+  
+  // Largest diff table (sentences x sentences, after trimming common ends)
+  const MAX_DIFF_CELLS = 25000000;
+  
+  // Word-level highlighting is skipped for very long rewritten passages
+  const MAX_WORD_DIFF_CELLS = 1000000;
+  
+  const DEFAULT_QUESTION =
+    'Here are the changed clauses between the two versions. Explain the impact of each change: ' +
+    'what it means in practice, which party it favours, and any new risks or obligations it creates.';
+  
+  // =========================================================================
+  // DIFF
+  // =========================================================================
+  
+  /**
+   * Longest-common-subsequence diff of two sequences of strings
+   *
+   * @param {Array<string>} a - Old sequence
+   * @param {Array<string>} b - New sequence
+   * @param {number} maxCells - Refuse tables larger than this (returns null)
+   * @returns {Array<Object>|null} Operations {type: 'equal'|'removed'|'added', oldIndex, newIndex}
+   */
+  function diffSequences(a, b, maxCells) {
+    const ops = [];
+    
+    // Common ends need no table
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+      prefix++;
+    }
+    
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+           a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+      suffix++;
+    }
+    
+    const n = a.length - prefix - suffix;
+    const m = b.length - prefix - suffix;
+    
+    if ((n + 1) * (m + 1) > maxCells) {
+      return null;
+    }
+    
+    // table[i][j] = LCS length of a[prefix + i..] and b[prefix + j..]
+    const width = m + 1;
+    const table = Math.min(n, m) < 0xFFFF
+      ? new Uint16Array((n + 1) * width)
+      : new Uint32Array((n + 1) * width);
+    
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        table[i * width + j] = a[prefix + i] === b[prefix + j]
+          ? table[(i + 1) * width + j + 1] + 1
+          : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+      }
+    }
+    
+    for (let k = 0; k < prefix; k++) {
+      ops.push({ type: 'equal', oldIndex: k, newIndex: k });
+    }
+    
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[prefix + i] === b[prefix + j]) {
+        ops.push({ type: 'equal', oldIndex: prefix + i, newIndex: prefix + j });
+        i++;
+        j++;
+      } else if (i < n && (j === m || table[(i + 1) * width + j] >= table[i * width + j + 1])) {
+        // Removals first, so a rewrite reads as old wording then new
+        ops.push({ type: 'removed', oldIndex: prefix + i, newIndex: prefix + j });
+        i++;
+      } else {
+        ops.push({ type: 'added', oldIndex: prefix + i, newIndex: prefix + j });
+        j++;
+      }
+    }
+    
+    for (let k = 0; k < suffix; k++) {
+      ops.push({ type: 'equal', oldIndex: prefix + n + k, newIndex: prefix + m + k });
+    }
+    
+    return ops;
+  }
+  
+  function normalizeSentence(sentence) {
+    return sentence.replace(/\s+/g, ' ').trim();
+  }
+  
+  /**
+   * Word-level diff of two passages, for highlighting inside a changed clause
+   *
+   * @param {string} oldText - Earlier wording
+   * @param {string} newText - New wording
+   * @returns {Array<Object>} Segments {type: 'equal'|'removed'|'added', text}
+   */
+  function diffWords(oldText, newText) {
+    const oldTokens = oldText.split(/(\s+)/).filter(token => token.length > 0);
+    const newTokens = newText.split(/(\s+)/).filter(token => token.length > 0);
+    
+    const ops = diffSequences(oldTokens, newTokens, MAX_WORD_DIFF_CELLS);
+    if (!ops) {
+      return [
+        { type: 'removed', text: oldText },
+        { type: 'added', text: newText }
+      ];
+    }
+    
+    // Merge runs of the same type into segments
+    const segments = [];
+    ops.forEach(op => {
+      const text = op.type === 'added' ? newTokens[op.newIndex] : oldTokens[op.oldIndex];
+      const last = segments[segments.length - 1];
+      if (last && last.type === op.type) {
+        last.text += text;
+      } else {
+        segments.push({ type: op.type, text });
+      }
+    });
+    
+    return segments;
+  }
+  
+  /**
+   * Compare two texts sentence by sentence
+   * Consecutive removed/added sentences form one change (a rewritten clause)
+   *
+   * @param {string} oldText - Earlier version
+   * @param {string} newText - New version
+   * @returns {Object} {changes, stats}; each change has removed/added sentences
+   *   with their offsets ({text, start, end}) and a type (changed, added, removed)
+   */
+  function compareTexts(oldText, newText) {
+    const chunker = window.InvantiaChunker;
+    const oldSentences = chunker.splitIntoSentences(oldText);
+    const newSentences = chunker.splitIntoSentences(newText);
+    const oldSpans = chunker.locateSentences(oldText, oldSentences);
+    const newSpans = chunker.locateSentences(newText, newSentences);
+    
+    const ops = diffSequences(
+      oldSentences.map(normalizeSentence),
+      newSentences.map(normalizeSentence),
+      MAX_DIFF_CELLS
+    );
+    
+    if (!ops) {
+      throw new Error(
+        `Documents are too different to compare sentence by sentence ` +
+        `(${oldSentences.length} and ${newSentences.length} sentences)`
+      );
+    }
+    
+    const changes = [];
+    let current = null;
+    let unchanged = 0;
+    
+    ops.forEach(op => {
+      if (op.type === 'equal') {
+        unchanged++;
+        current = null;
+        return;
+      }
+      
+      if (!current) {
+        current = { removed: [], added: [] };
+        changes.push(current);
+      }
+      
+      if (op.type === 'removed') {
+        current.removed.push({ text: oldSentences[op.oldIndex], ...oldSpans[op.oldIndex] });
+      } else {
+        current.added.push({ text: newSentences[op.newIndex], ...newSpans[op.newIndex] });
+      }
+    });
+    
+    changes.forEach(change => {
+      change.type = change.removed.length === 0 ? 'added'
+        : change.added.length === 0 ? 'removed'
+        : 'changed';
+    });
+    
+    return {
+      changes,
+      stats: {
+        changed: changes.filter(change => change.type === 'changed').length,
+        added: changes.filter(change => change.type === 'added').length,
+        removed: changes.filter(change => change.type === 'removed').length,
+        unchangedSentences: unchanged
+      }
+    };
+  }
+  
+  // =========================================================================
+  // LOCATIONS
+  // =========================================================================
+  
+  /**
+   * Describe where an offset falls in a document ("page 4, Article 7 > 7.2")
+   */
+  function describeLocation(doc, offset) {
+    const parts = [];
+    
+    const page = (doc.pages || []).find(p => offset >= p.start && offset < p.end);
+    if (page) {
+      parts.push(`page ${page.pageNumber}`);
+    }
+    
+    const section = (doc.sections || []).find(s => offset >= s.start && offset < s.end);
+    if (section) {
+      parts.push(section.headingPath);
+    }
+    
+    return parts.join(', ');
+  }
+  
+  /**
+   * Replace the text of changed sentences with the document's raw text
+   * (before normalization), when it has one
+   */
+  function showRawText(sentences, doc) {
+    if (!doc.rawContent || sentences.length === 0) return;
+    
+    const offsets = window.InvantiaDocProcessor.alignRawOffsets(doc.content, doc.rawContent);
+    sentences.forEach(sentence => {
+      if (sentence.end > sentence.start) {
+        sentence.text = doc.rawContent.slice(offsets.starts[sentence.start], offsets.ends[sentence.end - 1]).trim();
+      }
+    });
+  }
+  
+  function describeDocument(doc) {
+    const version = doc.versionGroupId ? ` (v${doc.version})` : '';
+    return `${doc.name}${version}`;
+  }
+  
+  // =========================================================================
+  // CHAT PACKAGE
+  // =========================================================================
+  
+  function joinSentences(sentences) {
+    return sentences.map(sentence => sentence.text).join(' ');
+  }
+  
+  function buildChangeSection(change, number) {
+    const location = change.location ? ` - ${change.location}` : '';
+    let section = `[[change ${number}: ${change.type}${location}]]\n`;
+    section += `[[before]]\n${change.removed.length > 0 ? joinSentences(change.removed) : '(not present)'}\n[[/before]]\n`;
+    section += `[[after]]\n${change.added.length > 0 ? joinSentences(change.added) : '(removed)'}\n[[/after]]\n`;
+    section += `[[/change]]\n\n`;
+    return section;
+  }
+  
+  /**
+   * Build a chat package listing the changed clauses of a comparison
+   * Same shape as InvantiaPackageFormatter.generateChatPackage, so it can be
+   * shown with displayChatPackage
+   *
+   * @param {Object} comparison - Result of compareDocuments
+   * @param {string} question - Question to ask (defaults to an impact analysis)
+   * @returns {Object} {isSplit, totalParts, parts, characterCount}
+   */
+  function buildRedlinePackage(comparison, question = '') {
+    const formatter = window.InvantiaPackageFormatter;
+    const title = `[[comparison: ${describeDocument(comparison.oldDocument)} -> ${describeDocument(comparison.newDocument)}]]\n\n`;
+    const questionSection = formatter.buildQuestionSection(question || DEFAULT_QUESTION);
+    const instructions =
+      'Instructions: The following are the clauses that differ between two versions of a document.\n' +
+      'Each change shows the earlier wording [[before]] and the new wording [[after]].\n' +
+      'Use them to answer the question at the end.\n\n';
+    
+    const sections = comparison.changes.map((change, index) => buildChangeSection(change, index + 1));
+    if (sections.length === 0) {
+      sections.push('No differences were found between the two versions.\n\n');
+    }
+    
+    // Group change sections into parts that fit the package limit
+    const maxPartContent = formatter.MAX_PACKAGE_SIZE - instructions.length - title.length - questionSection.length - 200;
+    const groups = [];
+    let currentGroup = '';
+    
+    sections.forEach(section => {
+      if (currentGroup.length > 0 && currentGroup.length + section.length > maxPartContent) {
+        groups.push(currentGroup);
+        currentGroup = '';
+      }
+      currentGroup += section;
+    });
+    groups.push(currentGroup);
+    
+    if (groups.length === 1) {
+      const content = `[[chat package]]\n\n${instructions}${title}${groups[0]}[[/comparison]]\n\n` +
+        questionSection + formatter.buildPackageFooter();
+      
+      return {
+        isSplit: false,
+        totalParts: 1,
+        parts: [content],
+        characterCount: content.length
+      };
+    }
+    
+    const parts = groups.map((group, index) => {
+      const partNumber = index + 1;
+      const totalParts = groups.length;
+      
+      let part = `[[chat package - Part ${partNumber} of ${totalParts}]]\n\n`;
+      
+      if (partNumber === 1) {
+        part += `Instructions: This is a multi-part chat package. `;
+        part += `Please paste all ${totalParts} parts sequentially before responding.\n`;
+        part += instructions;
+      } else {
+        part += `Continued from Part ${partNumber - 1}...\n\n`;
+      }
+      
+      part += title + group + '[[/comparison]]\n\n';
+      
+      if (partNumber === totalParts) {
+        part += questionSection;
+      }
+      
+      part += `\n[[/chat package - Part ${partNumber} of ${totalParts}]]`;
+      return part;
+    });
+    
+    return {
+      isSplit: true,
+      totalParts: parts.length,
+      parts: parts,
+      characterCount: parts.reduce((sum, part) => sum + part.length, 0)
+    };
+  }
+  
+  // =========================================================================
+  // DISPLAY
+  // =========================================================================
+  
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+  
+  function renderChangeCells(change) {
+    if (change.type !== 'changed') {
+      return {
+        old: `<del>${escapeHtml(joinSentences(change.removed))}</del>`,
+        new: `<ins>${escapeHtml(joinSentences(change.added))}</ins>`
+      };
+    }
+    
+    const segments = diffWords(joinSentences(change.removed), joinSentences(change.added));
+    return {
+      old: segments
+        .filter(segment => segment.type !== 'added')
+        .map(segment => segment.type === 'removed' ? `<del>${escapeHtml(segment.text)}</del>` : escapeHtml(segment.text))
+        .join(''),
+      new: segments
+        .filter(segment => segment.type !== 'removed')
+        .map(segment => segment.type === 'added' ? `<ins>${escapeHtml(segment.text)}</ins>` : escapeHtml(segment.text))
+        .join('')
+    };
+  }
+  
+  /**
+   * Show a comparison side by side: earlier wording left, new wording right
+   *
+   * @param {Object} comparison - Result of compareDocuments
+   * @param {string} containerId - Container element ID
+   */
+  function renderComparison(comparison, containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) {
+      console.error(`Container not found: ${containerId}`);
+      return;
+    }
+    
+    const { stats } = comparison;
+    
+    if (comparison.changes.length === 0) {
+      container.innerHTML = '<p class="muted">No differences found - the two versions have the same sentences.</p>';
+      return;
+    }
+    
+    const rows = comparison.changes.map((change, index) => {
+      const cells = renderChangeCells(change);
+      const location = change.location ? ` &middot; ${escapeHtml(change.location)}` : '';
+      
+      return `
+        <tr class="redline-heading">
+          <td colspan="2">Change ${index + 1}: ${change.type}${location}</td>
+        </tr>
+        <tr>
+          <td class="redline-old">${cells.old}</td>
+          <td class="redline-new">${cells.new}</td>
+        </tr>
+      `;
+    }).join('');
+    
+    container.innerHTML = `
+      <p class="muted sm">
+        ${comparison.changes.length} change(s): ${stats.changed} rewritten, ${stats.added} added,
+        ${stats.removed} removed &middot; ${stats.unchangedSentences} sentences unchanged
+      </p>
+      <table class="redline-table">
+        <thead>
+          <tr>
+            <th>${escapeHtml(describeDocument(comparison.oldDocument))}</th>
+            <th>${escapeHtml(describeDocument(comparison.newDocument))}</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+  
+  // =========================================================================
+  // PUBLIC API
+  // =========================================================================
+  
+  /**
+   * Compare two stored documents (earlier version first)
+   *
+   * @param {number} oldDocumentId - Earlier version
+   * @param {number} newDocumentId - New version
+   * @returns {Promise<Object>} {oldDocument, newDocument, changes, stats}
+   *   Each change carries a location ("page 4, Article 7 > 7.2") when the document has pages or sections
+   */
+  async function compareDocuments(oldDocumentId, newDocumentId) {
+    const [oldDocument, newDocument] = await Promise.all([
+      window.InvantiaDB.getDocument(oldDocumentId),
+      window.InvantiaDB.getDocument(newDocumentId)
+    ]);
+    
+    if (!oldDocument || !newDocument) {
+      throw new Error('Document not found');
+    }
+    
+    const { changes, stats } = compareTexts(oldDocument.content, newDocument.content);
+    
+    // Removed clauses are located in the earlier version, everything else in the new one
+    changes.forEach(change => {
+      change.location = change.type === 'removed'
+        ? describeLocation(oldDocument, change.removed[0].start)
+        : describeLocation(newDocument, change.added[0].start);
+    });
+    
+    showRawText(changes.flatMap(change => change.removed), oldDocument);
+    showRawText(changes.flatMap(change => change.added), newDocument);
+    
+    const summarize = (doc) => ({
+      id: doc.id,
+      name: doc.name,
+      versionGroupId: doc.versionGroupId,
+      version: doc.version,
+      uploadDate: doc.uploadDate
+    });
+    
+    return {
+      oldDocument: summarize(oldDocument),
+      newDocument: summarize(newDocument),
+      changes,
+      stats
+    };
+  }
+  
+  window.InvantiaRedline = {
+    compareDocuments,
+    compareTexts,
+    diffWords,
+    buildRedlinePackage,
+    renderComparison
+  };
+  
+  console.log('Redline comparison loaded');
+
+})();
@@ -66,11 +66,14 @@
       
       console.log(`Query Engine: ${combinedChunks.length} total chunks after scoring`);
       
-      // Create super chunks respecting topic boundaries
+      // Create super chunks respecting topic boundaries, budgeted in characters or estimated tokens
+      const tokenBudget = normalizedQuery.sizeUnit === 'tokens';
       const allSuperChunks = createSuperChunksWithTopics(
         topicResults,
-        normalizedQuery.maxCharsPerSuperChunk,
-        normalizedQuery.allTopics
+        tokenBudget ? normalizedQuery.maxTokensPerSuperChunk : normalizedQuery.maxCharsPerSuperChunk,
+        normalizedQuery.allTopics,
+        tokenBudget ? 'tokens' : 'characters',
+        normalizedQuery.tokenEncoding
       );
       
       console.log(`Query Engine: Created ${allSuperChunks.length} super chunk(s) total`);
@@ -95,7 +98,8 @@
       // Format for LLM
       const formattedSuperChunks = await formatSuperChunks(
         finalSuperChunks,
-        normalizedQuery.allTopics
+        normalizedQuery.allTopics,
+        normalizedQuery.tokenEncoding
       );
       
       return {
@@ -153,9 +157,68 @@
       chunks = await window.InvantiaDB.getChunksByCollection(queryStructure.collectionId);
     }
     
+    // Only the searchable version of a versioned document is searched
+    const unsearchable = await window.InvantiaDB.getUnsearchableDocumentIds();
+    chunks = chunks.filter(chunk => !unsearchable.has(chunk.documentId));
+    
+    if (hasDocumentFilter(queryStructure.documentFilter)) {
+      const documents = await window.InvantiaDB.getAllDocuments();
+      const matching = new Set(documents
+        .filter(doc => matchesDocumentFilter(doc, queryStructure.documentFilter))
+        .map(doc => doc.id));
+      chunks = chunks.filter(chunk => matching.has(chunk.documentId));
+      console.log(`Query Engine: Document filter kept ${matching.size} of ${documents.length} documents`);
+    }
+    
     return chunks;
   }
 
+  // =========================================================================
+  // DOCUMENT FILTERS
+  // =========================================================================
+  
+  function hasDocumentFilter(filter) {
+    return Boolean(filter && (filter.person || filter.dateFrom || filter.dateTo));
+  }
+
+  /**
+   * Check a document against a custodian / date filter on its file properties
+   * (author, last modified by, created and modified dates) or email headers (sender, date)
+   * 
+   * @param {Object} doc - Document record
+   * @param {Object} filter - {person, dateFrom, dateTo}; person is a case-insensitive
+   *   partial match, dates are inclusive YYYY-MM-DD bounds
+   * @returns {boolean} True if the document matches (or no filter is set)
+   */
+  function matchesDocumentFilter(doc, filter) {
+    if (!hasDocumentFilter(filter)) return true;
+    
+    const properties = doc.properties || {};
+    const email = doc.email || {};
+    
+    if (filter.person) {
+      const person = filter.person.trim().toLowerCase();
+      const people = [properties.author, properties.lastModifiedBy, email.from].filter(Boolean);
+      if (!people.some(name => name.toLowerCase().includes(person))) {
+        return false;
+      }
+    }
+    
+    if (filter.dateFrom || filter.dateTo) {
+      // Any of the document's dates in range is enough
+      const dates = [properties.createdDate, properties.modifiedDate, email.date]
+        .filter(Boolean)
+        .map(date => date.slice(0, 10));
+      const inRange = date => (!filter.dateFrom || date >= filter.dateFrom) &&
+                              (!filter.dateTo || date <= filter.dateTo);
+      if (!dates.some(inRange)) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+
   // =========================================================================
   // BLOCK EXECUTION WITH SCORING
   // =========================================================================
@@ -393,22 +456,114 @@
     return result;
   }
 
+  // =========================================================================
+  // OVERLAPPING CHUNKS
+  // =========================================================================
+  
+  /**
+   * Text a chunk adds to the chunk before it, with the whitespace that followed
+   * the repeated part
+   * Chunks stored with overlap are exact slices of the document text and
+   * record how many characters they repeat from the chunk before them
+   * (overlapChars, and rawOverlapChars for the raw text)
+   */
+  function dropRepeatedText(text, overlapChars) {
+    return overlapChars > 0 ? text.slice(overlapChars) : ` ${text}`;
+  }
+  
+  /**
+   * Text shown for a chunk: the raw text when normalization changed it
+   */
+  function displayText(chunk) {
+    return chunk.rawContent || chunk.content;
+  }
+  
+  /**
+   * Merge runs of selected chunks that follow each other in a document stored
+   * with overlap into one chunk each, without the text the later chunk repeats
+   * Chunks must be sorted by document and chunk number; chunks without
+   * overlapChars (stored without overlap) are left as they are. The merged
+   * chunk ends where the last chunk of the run ends (pages, slides, rows,
+   * times, clauses). When merged content would stop fitting, the run is
+   * closed and the next one starts after the repeated text.
+   *
+   * @param {Array<Object>} chunks - Sorted chunks
+   * @param {Function} fits - Called with merged display text; false closes the run
+   * @returns {Array<Object>} Chunks, merged runs spanning chunkNumber to chunkNumberEnd
+   */
+  function mergeOverlappingChunks(chunks, fits) {
+    const merged = [];
+    
+    for (const chunk of chunks) {
+      const previous = merged[merged.length - 1];
+      const follows = previous &&
+        previous.documentId === chunk.documentId &&
+        previous.overlapChars !== null && previous.overlapChars !== undefined &&
+        chunk.overlapChars !== null && chunk.overlapChars !== undefined &&
+        chunk.chunkNumber === (previous.chunkNumberEnd ?? previous.chunkNumber) + 1;
+      
+      if (!follows) {
+        merged.push(chunk);
+        continue;
+      }
+      
+      const addition = dropRepeatedText(chunk.content, chunk.overlapChars);
+      const rawAddition = dropRepeatedText(displayText(chunk), chunk.rawOverlapChars ?? chunk.overlapChars);
+      const content = addition.trim() ? previous.content + addition : previous.content;
+      const rawContent = rawAddition.trim() ? displayText(previous) + rawAddition : displayText(previous);
+      
+      if (fits(rawContent)) {
+        merged[merged.length - 1] = {
+          ...previous,
+          content: content,
+          rawContent: rawContent !== content ? rawContent : null,
+          charCount: content.length,
+          chunkNumberEnd: chunk.chunkNumber,
+          sentenceEnd: chunk.sentenceEnd,
+          pageEnd: chunk.pageEnd || previous.pageEnd,
+          slideEnd: chunk.slideEnd || previous.slideEnd,
+          rowEnd: chunk.rowEnd || previous.rowEnd,
+          timeEnd: chunk.timeEnd ?? previous.timeEnd,
+          clauseEnd: chunk.clauseEnd || previous.clauseEnd,
+          relevanceScore: Math.max(previous.relevanceScore || 0, chunk.relevanceScore || 0)
+        };
+      } else {
+        const rest = addition.trim();
+        const rawRest = rawAddition.trim();
+        merged.push({
+          ...chunk,
+          content: rest,
+          rawContent: rawRest !== rest ? rawRest : null,
+          charCount: rest.length
+        });
+      }
+    }
+    
+    return merged;
+  }
+
   // =========================================================================
   // SUPER CHUNK CREATION WITH TOPICS
   // =========================================================================
   
-  function createSuperChunksWithTopics(topicResults, maxCharsPerSuperChunk, allTopics) {
+  /**
+   * Pack scored chunks into super chunks of at most maxSizePerSuperChunk
+   * Sizes are measured in characters, or in tokens estimated for the
+   * encoding (see tokenizer.js) when unit is 'tokens'
+   */
+  function createSuperChunksWithTopics(topicResults, maxSizePerSuperChunk, allTopics, unit = 'characters', encoding) {
     const superChunks = [];
+    const measure = (text) => window.InvantiaTokenizer.measure(text, unit, encoding);
     
     // Calculate header size (only in first super chunk)
     const headerText = formatChatPackageHeader(allTopics);
-    const headerChars = headerText.length;
+    const headerSize = measure(headerText);
     
-    console.log(`Creating super chunks with ${maxCharsPerSuperChunk} char limit`);
-    console.log(`Header size: ${headerChars} chars`);
+    console.log(`Creating super chunks with ${maxSizePerSuperChunk} ${unit} limit`);
+    console.log(`Header size: ${headerSize} ${unit}`);
     
     // Current super chunk being built
-    let currentChars = 0;
+    let currentSize = 0;
     let currentTopics = [];
     let isFirstSuperChunk = true;
     
@@ -420,8 +575,15 @@
       
       console.log(`  Processing topic ${topicIndex + 1}: "${topicResult.topicQuestion}" (${topicResult.chunks.length} chunks)`);
       
-      // Sort chunks chronologically
-      const sortedChunks = sortChunksChronologically(topicResult.chunks);
+      const topicHeaderText = `\n[[topic ${topicIndex + 1}: ${topicResult.topicQuestion}]]\n\n`;
+      const topicHeaderSize = measure(topicHeaderText);
+      
+      // Sort chunks chronologically; overlapping neighbours become one chunk,
+      // as long as it still fits in a super chunk
+      const sortedChunks = mergeOverlappingChunks(
+        sortChunksChronologically(topicResult.chunks),
+        (content) => headerSize + topicHeaderSize + measure(content) <= maxSizePerSuperChunk
+      );
       
       // Topic section for current super chunk
       let currentTopicSection = {
@@ -431,30 +593,27 @@
         isContinuation: false
       };
       
-      const topicHeaderText = `\n[[topic ${topicIndex + 1}: ${topicResult.topicQuestion}]]\n\n`;
-      const topicHeaderChars = topicHeaderText.length;
-      
       // Add each chunk
       for (const chunk of sortedChunks) {
         // Calculate size of this chunk when formatted
-        const chunkFormatted = `[[chunk ${chunk.chunkNumber}]] (score: ${chunk.relevanceScore?.toFixed(1) || '?'})\n${chunk.content}\n\n`;
-        const chunkChars = chunkFormatted.length;
+        const chunkFormatted = `${formatChunkMarker(chunk)} (score: ${chunk.relevanceScore?.toFixed(1) || '?'})\n${displayText(chunk)}\n\n`;
+        const chunkSize = measure(chunkFormatted);
         
         // Calculate what total would be if we add this chunk
-        let requiredSpace = chunkChars;
+        let requiredSpace = chunkSize;
         
         // If this is first chunk in topic section, include topic header
         if (currentTopicSection.chunks.length === 0) {
-          requiredSpace += topicHeaderChars;
+          requiredSpace += topicHeaderSize;
         }
         
         // If this is first super chunk, include package header
-        const headerSpace = isFirstSuperChunk ? headerChars : 0;
+        const headerSpace = isFirstSuperChunk ? headerSize : 0;
         
-        const totalIfAdded = headerSpace + currentChars + requiredSpace;
+        const totalIfAdded = headerSpace + currentSize + requiredSpace;
         
         // Check if adding this chunk would exceed limit
-        if (totalIfAdded > maxCharsPerSuperChunk && (currentTopics.length > 0 || currentTopicSection.chunks.length > 0)) {
+        if (totalIfAdded > maxSizePerSuperChunk && (currentTopics.length > 0 || currentTopicSection.chunks.length > 0)) {
           // Would exceed - need to close current super chunk
           
           // Save current topic section if it has chunks
@@ -465,14 +624,14 @@
           // Save super chunk
           const superChunk = {
             topics: currentTopics,
-            totalChars: currentChars + headerSpace,
+            totalSize: currentSize + headerSpace,
             isFirst: isFirstSuperChunk
           };
           superChunks.push(superChunk);
-          console.log(`    Closed super chunk ${superChunks.length}: ${superChunk.totalChars} chars, ${currentTopics.length} topic section(s)`);
+          console.log(`    Closed super chunk ${superChunks.length}: ${superChunk.totalSize} ${unit}, ${currentTopics.length} topic section(s)`);
           
           // Start new super chunk
-          currentChars = 0;
+          currentSize = 0;
           currentTopics = [];
           isFirstSuperChunk = false;
           
@@ -486,18 +645,18 @@
           
           // Now add the chunk that didn't fit
           currentTopicSection.chunks.push(chunk);
-          currentChars += topicHeaderChars + chunkChars;
+          currentSize += topicHeaderSize + chunkSize;
           
         } else {
           // Fits in current super chunk
           currentTopicSection.chunks.push(chunk);
           
-          // Update character count
+          // Update size
           if (currentTopicSection.chunks.length === 1) {
             // First chunk in section - count header
-            currentChars += topicHeaderChars;
+            currentSize += topicHeaderSize;
           }
-          currentChars += chunkChars;
+          currentSize += chunkSize;
         }
       }
       
@@ -509,14 +668,14 @@
     
     // Save final super chunk
     if (currentTopics.length > 0) {
-      const headerSpace = isFirstSuperChunk ? headerChars : 0;
+      const headerSpace = isFirstSuperChunk ? headerSize : 0;
       const superChunk = {
         topics: currentTopics,
-        totalChars: currentChars + headerSpace,
+        totalSize: currentSize + headerSpace,
         isFirst: isFirstSuperChunk
       };
       superChunks.push(superChunk);
-      console.log(`    Closed super chunk ${superChunks.length}: ${superChunk.totalChars} chars, ${currentTopics.length} topic section(s)`);
+      console.log(`    Closed super chunk ${superChunks.length}: ${superChunk.totalSize} ${unit}, ${currentTopics.length} topic section(s)`);
     }
     
     console.log(`  Created ${superChunks.length} super chunks total`);
@@ -537,6 +696,188 @@
     });
   }
 
+  // =========================================================================
+  // CITATIONS (PAGES, SLIDES, SHEET ROWS, TRANSCRIPT TIMES, SECTIONS AND SENDERS)
+  // =========================================================================
+  
+  /**
+   * Format a chunk's page range for citation ("p. 14" or "pp. 14-15")
+   * Returns an empty string for chunks without page information
+   */
+  function formatPageRange(chunk) {
+    if (!chunk.pageStart) return '';
+    
+    const pageEnd = chunk.pageEnd || chunk.pageStart;
+    if (pageEnd === chunk.pageStart) {
+      return `p. ${chunk.pageStart}`;
+    }
+    return `pp. ${chunk.pageStart}-${pageEnd}`;
+  }
+
+  /**
+   * Format a presentation chunk's slide range ("slide 3" or "slides 3-4")
+   * Returns an empty string for chunks that did not come from a presentation
+   */
+  function formatSlideRange(chunk) {
+    if (!chunk.slideStart) return '';
+    
+    const slideEnd = chunk.slideEnd || chunk.slideStart;
+    if (slideEnd === chunk.slideStart) {
+      return `slide ${chunk.slideStart}`;
+    }
+    return `slides ${chunk.slideStart}-${slideEnd}`;
+  }
+
+  /**
+   * Format a spreadsheet chunk's sheet and rows ("Ledger, rows 2-41")
+   * Returns an empty string for chunks that did not come from a sheet
+   */
+  function formatRowRange(chunk) {
+    if (!chunk.sheetName) return '';
+    if (!chunk.rowStart) return chunk.sheetName;
+    
+    const rowEnd = chunk.rowEnd || chunk.rowStart;
+    if (rowEnd === chunk.rowStart) {
+      return `${chunk.sheetName}, row ${chunk.rowStart}`;
+    }
+    return `${chunk.sheetName}, rows ${chunk.rowStart}-${rowEnd}`;
+  }
+
+  /**
+   * Format a transcript chunk's time range ("00:14:32-00:16:05")
+   * Returns an empty string for chunks without timestamps
+   */
+  function formatTimeRange(chunk) {
+    if (chunk.timeStart === null || chunk.timeStart === undefined) return '';
+    
+    const { formatTimestamp } = window.InvantiaTranscript;
+    const start = formatTimestamp(chunk.timeStart);
+    const end = chunk.timeEnd !== null && chunk.timeEnd !== undefined ? formatTimestamp(chunk.timeEnd) : start;
+    
+    return end === start ? start : `${start}-${end}`;
+  }
+
+  /**
+   * Format a contract chunk's clauses ("9.3(a)" or "Section 9.3-Section 9.4")
+   * Returns an empty string for chunks made without clause chunking
+   */
+  function formatClauseRange(chunk) {
+    if (!chunk.clauseStart) return '';
+    
+    const clauseEnd = chunk.clauseEnd || chunk.clauseStart;
+    return clauseEnd === chunk.clauseStart ? chunk.clauseStart : `${chunk.clauseStart}-${clauseEnd}`;
+  }
+
+  /**
+   * Format an email chunk's sender and date ("Jane Doe <jane@example.com>, 2024-03-05 14:02 UTC")
+   * Returns an empty string for chunks that did not come from an email
+   */
+  function formatSender(chunk) {
+    if (!chunk.sender) return '';
+    if (!chunk.sentDate) return chunk.sender;
+    
+    return `${chunk.sender}, ${chunk.sentDate.slice(0, 16).replace('T', ' ')} UTC`;
+  }
+
+  /**
+   * Chunk marker with page range (or slides, sheet rows or transcript times), clauses, heading path
+   * and email sender when known
+   * e.g. "[[chunk 5, p. 14]] [[section: Article 7 > 7.2 Indemnification]]"
+   *      "[[chunk 8, p. 6]] [[clause: 9.3(a)-9.3(c)]]"
+   *      "[[chunk 12, 00:14:32-00:16:05]]"
+   *      "[[chunks 3-4, p. 2]]" (overlapping chunks merged)
+   *      "[[chunk 0]] [[from: Jane Doe <jane@example.com>, 2024-03-05 14:02 UTC]]"
+   */
+  function formatChunkMarker(chunk) {
+    const location = formatPageRange(chunk) || formatSlideRange(chunk) || formatRowRange(chunk) || formatTimeRange(chunk);
+    const chunkLabel = chunk.chunkNumberEnd !== undefined
+      ? `chunks ${chunk.chunkNumber}-${chunk.chunkNumberEnd}`
+      : `chunk ${chunk.chunkNumber}`;
+    let marker = location
+      ? `[[${chunkLabel}, ${location}]]`
+      : `[[${chunkLabel}]]`;
+    
+    const clauses = formatClauseRange(chunk);
+    if (clauses) {
+      marker += ` [[clause: ${clauses}]]`;
+    }
+    
+    if (chunk.headingPath) {
+      marker += ` [[section: ${chunk.headingPath}]]`;
+    }
+    
+    const sender = formatSender(chunk);
+    if (sender) {
+      marker += ` [[from: ${sender}]]`;
+    }
+    
+    return marker;
+  }
+
+  /**
+   * Collapse a set of page numbers into ranges ("3-5, 14")
+   */
+  function compressPageNumbers(pageNumbers) {
+    const sorted = Array.from(pageNumbers).sort((a, b) => a - b);
+    const ranges = [];
+    
+    let rangeStart = null;
+    let previous = null;
+    
+    for (const page of sorted) {
+      if (rangeStart === null) {
+        rangeStart = page;
+      } else if (page !== previous + 1) {
+        ranges.push(rangeStart === previous ? `${rangeStart}` : `${rangeStart}-${previous}`);
+        rangeStart = page;
+      }
+      previous = page;
+    }
+    
+    if (rangeStart !== null) {
+      ranges.push(rangeStart === previous ? `${rangeStart}` : `${rangeStart}-${previous}`);
+    }
+    
+    return ranges.join(', ');
+  }
+
+  /**
+   * Summarize the pages cited in a super chunk, grouped by document
+   * Returns [{documentId, documentName, pages}] for documents with page data,
+   * where pages is a label such as "pp. 3-5, 14"
+   */
+  async function collectPageCitations(superChunk) {
+    const pagesByDocument = new Map();
+    
+    for (const topicSection of superChunk.topics) {
+      for (const chunk of topicSection.chunks) {
+        if (!chunk.pageStart) continue;
+        
+        if (!pagesByDocument.has(chunk.documentId)) {
+          pagesByDocument.set(chunk.documentId, new Set());
+        }
+        
+        const pageSet = pagesByDocument.get(chunk.documentId);
+        const pageEnd = chunk.pageEnd || chunk.pageStart;
+        for (let page = chunk.pageStart; page <= pageEnd; page++) {
+          pageSet.add(page);
+        }
+      }
+    }
+    
+    const citations = [];
+    for (const [documentId, pageSet] of pagesByDocument.entries()) {
+      const doc = await window.InvantiaDB.getDocument(documentId);
+      citations.push({
+        documentId: documentId,
+        documentName: doc ? doc.name : `Document ${documentId}`,
+        pages: `${pageSet.size > 1 ? 'pp.' : 'p.'} ${compressPageNumbers(pageSet)}`
+      });
+    }
+    
+    return citations;
+  }
+
   // =========================================================================
   // FORMATTING FOR LLM
   // =========================================================================
@@ -554,7 +895,7 @@
     return header;
   }
 
-  async function formatSuperChunks(superChunks, allTopics) {
+  async function formatSuperChunks(superChunks, allTopics, encoding) {
     const formatted = [];
     
     for (let i = 0; i < superChunks.length; i++) {
@@ -567,11 +908,14 @@
       );
       
       const chunkCount = superChunk.topics.reduce((sum, t) => sum + t.chunks.length, 0);
+      const pageCitations = await collectPageCitations(superChunk);
       
       formatted.push({
         index: i,
         chunkCount: chunkCount,
         charCount: content.length,
+        tokenCount: window.InvantiaTokenizer.estimateTokens(content, encoding),
+        pageCitations: pageCitations,
         formattedContent: content
       });
     }
@@ -599,21 +943,24 @@
       const continuationMarker = topicSection.isContinuation ? ' (continued)' : '';
       output += `[[topic: ${topicSection.topicQuestion}${continuationMarker}]]\n\n`;
       
-      // Get document name for first chunk
-      const firstChunk = topicSection.chunks[0];
-      const doc = await window.InvantiaDB.getDocument(firstChunk.documentId);
-      output += `[[document: ${doc.name}]]\n\n`;
+      // Add chunks, naming the document whenever it changes so page citations stay unambiguous
+      let currentDocumentId = null;
       
-      // Add chunks
       for (const chunk of topicSection.chunks) {
-        output += `[[chunk ${chunk.chunkNumber}]]`;
+        if (chunk.documentId !== currentDocumentId) {
+          const doc = await window.InvantiaDB.getDocument(chunk.documentId);
+          output += `[[document: ${doc.name}]]\n\n`;
+          currentDocumentId = chunk.documentId;
+        }
+        
+        output += formatChunkMarker(chunk);
         
         // Add score for debugging
         if (chunk.relevanceScore) {
           output += ` (score: ${chunk.relevanceScore.toFixed(1)})`;
         }
         
-        output += `\n${chunk.content}\n\n`;
+        output += `\n${displayText(chunk)}\n\n`;
       }
     }
     
@@ -634,6 +981,7 @@
   
   window.InvantiaSearch = {
     executeQuery: executeQuery,
+    matchesDocumentFilter: matchesDocumentFilter,
     SCORING_CONFIG: SCORING_CONFIG // Expose for tuning
   };
 
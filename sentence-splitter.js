@@ -0,0 +1,257 @@
+// ~/fastapi_app/static/desktop/sentence-splitter.js
+// Sentence Splitter - sentence boundaries for legal and financial text
+//
+// A period, question mark or exclamation point followed by whitespace is a
+// candidate boundary. Whether it ends the sentence depends on the word before
+// it (abbreviation, initial, list marker) and the word after it (lowercase,
+// a number, a list marker, a common sentence opener). Abbreviations come from
+// lexicons - general, legal, accounting, citations - chosen in config.js.
+// A blank line always ends a sentence, so headings stand on their own.
+
+(function() {
+  'use strict';
+  
+  // =========================================================================
+  // LEXICONS
+  // =========================================================================
+  
+  /**
+   * Abbreviations by lexicon, written with their periods
+   * Capitalized entries match as written ("No." but not "no."); entries written
+   * in lowercase match in any case ("e.g.", "E.g.")
+   * - titles: always followed by more of the sentence (Mr. Smith, approx. 30 days)
+   * - numbered: no break before a number or marker (No. 5, Sec. 4.2, Ex. A)
+   * - terminal: may end a sentence, so they break before a sentence opener (Acme Inc. The...)
+   */
+  const LEXICONS = {
+    general: {
+      titles: [
+        'Mr.', 'Mrs.', 'Ms.', 'Messrs.', 'Dr.', 'Prof.', 'Hon.', 'Rev.', 'St.', 'Mt.', 'Ft.',
+        'Gen.', 'Gov.', 'Sen.', 'Rep.', 'Capt.', 'Lt.', 'Col.', 'Sgt.',
+        'e.g.', 'i.e.', 'cf.', 'viz.', 'vs.', 'v.', 'approx.', 'ca.', 'incl.', 'excl.', 'resp.'
+      ],
+      numbered: [
+        'No.', 'Nos.', 'p.', 'pp.', 'Fig.', 'Figs.', 'Vol.', 'Ch.', 'Ex.', 'Tab.', 'Ref.',
+        'Jan.', 'Feb.', 'Mar.', 'Apr.', 'Jun.', 'Jul.', 'Aug.', 'Sep.', 'Sept.', 'Oct.', 'Nov.', 'Dec.'
+      ],
+      terminal: [
+        'etc.', 'Inc.', 'Ltd.', 'Corp.', 'Co.', 'LLC.', 'Bros.', 'Jr.', 'Sr.', 'a.m.', 'p.m.'
+      ]
+    },
+    legal: {
+      titles: ['Esq.', 'Atty.', 'Def.', 'Pl.', 'Pltf.', 'Deft.', 'Petr.', 'Subd.'],
+      numbered: [
+        'Sec.', 'Secs.', 'Art.', 'Arts.', 'Cl.', 'Para.', 'Paras.', 'Sched.', 'Exh.', 'Reg.', 'Regs.',
+        'Pt.', 'Pts.', 'Ord.', 'Dkt.', 'Doc.', 'Tit.'
+      ],
+      terminal: ['al.', 'seq.', 'Stat.', 'Ann.', 'Amend.', 'Const.']
+    },
+    accounting: {
+      titles: ['est.', 'avg.', 'Dept.', 'Div.'],
+      numbered: ['Qtr.', 'Acct.', 'Inv.', 'Stmt.'],
+      terminal: [
+        'pct.', 'amt.', 'bal.', 'yr.', 'yrs.', 'mo.', 'mos.', 'wk.', 'wks.', 'qtr.',
+        'mil.', 'mn.', 'bn.', 'thou.', 'Cr.'
+      ]
+    },
+    citations: {
+      titles: ['Supp.', 'Ct.', 'Cir.', 'App.', 'Dist.', 'Rptr.', 'Bankr.', 'Cal.', 'Civ.', 'Crim.', 'Fed.', 'Ed.'],
+      numbered: ['n.', 'nn.', 'fn.'],
+      terminal: ['id.', 'ibid.', 'supra.', 'infra.', 'passim.']
+    }
+  };
+  
+  // Words that commonly open a sentence: after an abbreviation that may end one
+  // (Inc., etc., U.S.), a break is only made before one of these
+  const SENTENCE_OPENERS = new Set([
+    'the', 'this', 'that', 'these', 'those', 'it', 'its', 'a', 'an', 'in', 'on', 'at', 'as', 'if',
+    'we', 'he', 'she', 'they', 'i', 'you', 'our', 'their', 'his', 'her', 'there', 'here',
+    'but', 'and', 'or', 'so', 'however', 'accordingly', 'therefore', 'thus', 'further', 'furthermore',
+    'moreover', 'for', 'such', 'each', 'all', 'no', 'any', 'none', 'when', 'where', 'while', 'after',
+    'before', 'under', 'upon', 'subject', 'notwithstanding', 'following', 'see', 'what', 'why', 'how'
+  ]);
+  
+  // Candidate boundary: terminal punctuation (with closing quotes or brackets) before whitespace
+  const CANDIDATE_PATTERN = /[.!?…]+["'”’)\]]*(?=\s|$)/g;
+  
+  const PARAGRAPH_BREAK = /\n[ \t]*\n/g;
+  
+  const NEXT_WORD = /\s*(\S*)/y;
+  
+  // "1.", "4.2.", "iv.", "b." - a marker opening a list item or numbered paragraph
+  const LIST_MARKER = /^(?:\d+(?:\.\d+)*|[ivxlc]+|[a-z])$/i;
+  
+  // "(a)", "(12)", "(iv)" opening the next item
+  const BRACKETED_MARKER = /^\((?:\d+|[a-z]{1,2}|[ivxlc]+)\)/i;
+  
+  // What follows a numbered abbreviation: 5, 4.2, IV, (b), A, § 12
+  const NUMBER_START = /^(?:\d|§|\(|[IVXLC]+(?![a-z])|[A-Z](?![a-z]))/;
+  
+  // =========================================================================
+  // LEXICON RESOLUTION
+  // =========================================================================
+  
+  let lexiconCache = { key: null, lexicon: null };
+  
+  /**
+   * Merge the chosen lexicons and custom abbreviations into sets, as written
+   * Defaults come from InvantiaConfig (SENTENCE_LEXICONS, CUSTOM_ABBREVIATIONS)
+   *
+   * @param {Object} options - {lexicons: Array<string>, abbreviations: {titles, numbered, terminal}}
+   * @returns {Object} {titles, numbered, terminal} as Sets
+   */
+  function getLexicon(options = {}) {
+    const config = window.InvantiaConfig || {};
+    const lexiconIds = options.lexicons || config.SENTENCE_LEXICONS || Object.keys(LEXICONS);
+    const custom = options.abbreviations || config.CUSTOM_ABBREVIATIONS || {};
+    
+    const key = JSON.stringify([lexiconIds, custom]);
+    if (lexiconCache.key === key) {
+      return lexiconCache.lexicon;
+    }
+    
+    const lexicon = { titles: new Set(), numbered: new Set(), terminal: new Set() };
+    [...lexiconIds.map(id => LEXICONS[id]).filter(Boolean), custom].forEach(source => {
+      Object.keys(lexicon).forEach(kind => {
+        (source[kind] || []).forEach(abbreviation => lexicon[kind].add(abbreviation));
+      });
+    });
+    
+    lexiconCache = { key, lexicon };
+    return lexicon;
+  }
+  
+  /**
+   * Check an abbreviation against a lexicon set: as written, or folded to
+   * lowercase for entries written in lowercase
+   */
+  function hasAbbreviation(set, token) {
+    return set.has(token) || set.has(token.toLowerCase());
+  }
+  
+  // =========================================================================
+  // BOUNDARY DECISION
+  // =========================================================================
+  
+  /**
+   * Decide whether a candidate ends the sentence
+   *
+   * @param {string} text - Paragraph text
+   * @param {number} sentenceStart - Offset where the current sentence starts
+   * @param {Object} candidate - Match of CANDIDATE_PATTERN
+   * @param {Object} lexicon - Result of getLexicon
+   * @returns {boolean} True if the sentence ends after the candidate
+   */
+  function endsSentence(text, sentenceStart, candidate, lexicon) {
+    NEXT_WORD.lastIndex = candidate.index + candidate[0].length;
+    const nextRaw = NEXT_WORD.exec(text)[1];
+    if (!nextRaw) return true;
+    
+    const next = nextRaw.replace(/^["'“‘([]+/, '');
+    const nextIsMarker = BRACKETED_MARKER.test(nextRaw);
+    const continues = !nextIsMarker && /^[a-z]/.test(next);
+    
+    // "!", "?" and ellipses end a sentence unless it carries on in lowercase
+    if (candidate[0][0] !== '.' || /^\.{2,}|…/.test(candidate[0])) {
+      return !continues;
+    }
+    
+    const before = text.slice(sentenceStart, candidate.index);
+    const word = before.match(/[^\s"'“‘([]*$/)[0];
+    if (!word) return !continues;
+    
+    const token = `${word}.`;
+    const initial = /^[A-Z]$/.test(word);
+    
+    if (hasAbbreviation(lexicon.titles, token)) return false;
+    if (hasAbbreviation(lexicon.numbered, token) && !initial) return !continues && !NUMBER_START.test(next);
+    
+    // "2." or "(iv)." opening the sentence is its list marker
+    if (before.trim() === word && LIST_MARKER.test(word)) return false;
+    
+    if (continues) return false;
+    if (nextIsMarker) return true;
+    
+    // Abbreviations that may end a sentence, acronyms (U.S.C.) and initials (J. R. Smith)
+    if (hasAbbreviation(lexicon.terminal, token) || /^(?:[a-z]\.)+[a-z]$/i.test(word) || initial) {
+      return SENTENCE_OPENERS.has(next.replace(/[^\w]+$/, '').toLowerCase());
+    }
+    
+    return true;
+  }
+  
+  // =========================================================================
+  // SEGMENTATION
+  // =========================================================================
+  
+  /**
+   * Find the sentences of a text as character spans
+   * Spans exclude surrounding whitespace, so text.slice(start, end) is the sentence
+   *
+   * @param {string} text - Text to split
+   * @param {Object} options - Lexicon options (see getLexicon)
+   * @returns {Array<Object>} Array of {start, end} offsets
+   */
+  function findSentenceSpans(text, options = {}) {
+    if (!text) return [];
+    
+    const lexicon = getLexicon(options);
+    const spans = [];
+    
+    const pushSpan = (start, end) => {
+      while (start < end && /\s/.test(text[start])) start++;
+      while (end > start && /\s/.test(text[end - 1])) end--;
+      if (end > start) spans.push({ start, end });
+    };
+    
+    const paragraphs = [];
+    let paragraphStart = 0;
+    for (const match of text.matchAll(PARAGRAPH_BREAK)) {
+      paragraphs.push([paragraphStart, match.index]);
+      paragraphStart = match.index + match[0].length;
+    }
+    paragraphs.push([paragraphStart, text.length]);
+    
+    paragraphs.forEach(([paragraphStart, paragraphEnd]) => {
+      const paragraph = text.slice(paragraphStart, paragraphEnd);
+      let sentenceStart = 0;
+      
+      for (const candidate of paragraph.matchAll(CANDIDATE_PATTERN)) {
+        if (endsSentence(paragraph, sentenceStart, candidate, lexicon)) {
+          const end = candidate.index + candidate[0].length;
+          pushSpan(paragraphStart + sentenceStart, paragraphStart + end);
+          sentenceStart = end;
+        }
+      }
+      
+      pushSpan(paragraphStart + sentenceStart, paragraphEnd);
+    });
+    
+    return spans;
+  }
+  
+  /**
+   * Split text into sentences
+   *
+   * @param {string} text - Text to split
+   * @param {Object} options - Lexicon options (see getLexicon)
+   * @returns {Array<string>} Sentences, trimmed substrings of the text in order
+   */
+  function splitSentences(text, options = {}) {
+    return findSentenceSpans(text, options).map(span => text.slice(span.start, span.end));
+  }
+  
+  // =========================================================================
+  // PUBLIC API
+  // =========================================================================
+  
+  window.InvantiaSentences = {
+    splitSentences,
+    findSentenceSpans,
+    getLexicon,
+    LEXICONS
+  };
+  
+  console.log('Sentence splitter loaded');
+
+})();
@@ -0,0 +1,111 @@
+// ~/fastapi_app/static/desktop/sentence-splitter.test.js
+// Sentence Splitter regression corpus - tricky cases with their expected sentences
+//
+// Run with node after changing a lexicon or the boundary rules:
+//   node sentence-splitter.test.js
+// Exits non-zero when a case fails. Uses the default lexicons (no config.js).
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+global.window = global;
+vm.runInThisContext(fs.readFileSync(path.join(__dirname, 'sentence-splitter.js'), 'utf8'));
+
+const REGRESSION_CORPUS = [
+  {
+    text: 'See Case No. 5 at 12. The court agreed.',
+    sentences: ['See Case No. 5 at 12.', 'The court agreed.']
+  },
+  {
+    text: 'Notice under Sec. 4.2 is required. It must be in writing.',
+    sentences: ['Notice under Sec. 4.2 is required.', 'It must be in writing.']
+  },
+  {
+    text: 'The claim arises under 42 U.S.C. § 1983. The defendants moved to dismiss.',
+    sentences: ['The claim arises under 42 U.S.C. § 1983.', 'The defendants moved to dismiss.']
+  },
+  {
+    text: 'Revenue rose to $1.5 million in Q3. Margins held at 12.5%.',
+    sentences: ['Revenue rose to $1.5 million in Q3.', 'Margins held at 12.5%.']
+  },
+  {
+    text: 'Payment is due in approx. 30 days. Late fees apply.',
+    sentences: ['Payment is due in approx. 30 days.', 'Late fees apply.']
+  },
+  {
+    text: 'The letter was signed by J. R. Smith and Mary K. Jones. Both were officers.',
+    sentences: ['The letter was signed by J. R. Smith and Mary K. Jones.', 'Both were officers.']
+  },
+  {
+    text: 'The Seller shall: (a) deliver the goods; and (b) invoice the Buyer. Title passes on delivery.',
+    sentences: ['The Seller shall: (a) deliver the goods; and (b) invoice the Buyer.', 'Title passes on delivery.']
+  },
+  {
+    text: 'The Seller shall deliver the goods. (b) The Buyer shall pay.',
+    sentences: ['The Seller shall deliver the goods.', '(b) The Buyer shall pay.']
+  },
+  {
+    text: '1. Definitions. Terms have these meanings.\n2. Term. This Agreement runs one year.',
+    sentences: ['1. Definitions.', 'Terms have these meanings.', '2. Term.', 'This Agreement runs one year.']
+  },
+  {
+    text: 'He said, "The deal is off." Then he left.',
+    sentences: ['He said, "The deal is off."', 'Then he left.']
+  },
+  {
+    text: '"Is it signed?" she asked. It was not.',
+    sentences: ['"Is it signed?" she asked.', 'It was not.']
+  },
+  {
+    text: 'Shares were bought from Acme Inc. The price was fair.',
+    sentences: ['Shares were bought from Acme Inc.', 'The price was fair.']
+  },
+  {
+    text: 'Acme Inc. Holdings filed the claim, e.g. for breach, in Jan. 2021.',
+    sentences: ['Acme Inc. Holdings filed the claim, e.g. for breach, in Jan. 2021.']
+  },
+  {
+    text: 'See Smith v. Jones, 123 F.3d 456 (9th Cir. 1997); see also Brown et al. 2019. Id. at 460.',
+    sentences: ['See Smith v. Jones, 123 F.3d 456 (9th Cir. 1997); see also Brown et al. 2019.', 'Id. at 460.']
+  },
+  {
+    text: 'ARTICLE IV\n\nREPRESENTATIONS AND WARRANTIES\n\nEach party represents as follows.',
+    sentences: ['ARTICLE IV', 'REPRESENTATIONS AND WARRANTIES', 'Each party represents as follows.']
+  },
+  {
+    text: 'The answer is no. Then we proceed.',
+    sentences: ['The answer is no.', 'Then we proceed.']
+  },
+  {
+    text: 'The answer was no. A new offer followed.',
+    sentences: ['The answer was no.', 'A new offer followed.']
+  },
+  {
+    text: 'This is the state of the art. I agree.',
+    sentences: ['This is the state of the art.', 'I agree.']
+  },
+  {
+    text: 'Go to Art. I of the Agreement. It applies.',
+    sentences: ['Go to Art. I of the Agreement.', 'It applies.']
+  },
+  {
+    text: 'We moved to St. Louis. This is the st. of the art. A new era began.',
+    sentences: ['We moved to St. Louis.', 'This is the st. of the art.', 'A new era began.']
+  }
+];
+
+const failures = REGRESSION_CORPUS.filter(({ text, sentences }) => {
+  const actual = window.InvantiaSentences.splitSentences(text);
+  if (JSON.stringify(actual) === JSON.stringify(sentences)) return false;
+  
+  console.error(`FAIL: ${JSON.stringify(text)}`);
+  console.error(`  expected: ${JSON.stringify(sentences)}`);
+  console.error(`  actual:   ${JSON.stringify(actual)}`);
+  return true;
+});
+
+console.log(`Sentence corpus: ${REGRESSION_CORPUS.length - failures.length}/${REGRESSION_CORPUS.length} passed`);
+process.exitCode = failures.length > 0 ? 1 : 0;
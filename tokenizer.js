@@ -0,0 +1,145 @@
+// ~/fastapi_app/static/desktop/tokenizer.js
+// Token Estimator - offline token counts for LLM budgets
+//
+// Approximates the BPE tokenizers of the common chat models without their
+// vocabularies: text is pre-split the way those tokenizers split it (words with
+// their leading space, digit runs, punctuation runs, whitespace) and each piece
+// is priced by its script. English prose comes out at ~4 characters per token;
+// numbers, tables and non-Latin text cost more per character, as they do in
+// the real tokenizers.
+
+(function() {
+  'use strict';
+  
+  // =========================================================================
+  // ENCODINGS
+  // =========================================================================
+  
+  /**
+   * Rates per encoding
+   * - wordCharsPerToken: Latin letters per token beyond the first six letters of a word
+   * - digitsPerToken: digits per token (GPT tokenizers group up to 3, SentencePiece splits them)
+   * - alphabetCharsPerToken: Cyrillic, Greek, Arabic, Hebrew, Indic... letters per token
+   * - cjkTokensPerChar: tokens per Chinese, Japanese or Korean character
+   */
+  const ENCODINGS = {
+    cl100k: {
+      name: 'GPT-4 / GPT-3.5',
+      wordCharsPerToken: 4,
+      digitsPerToken: 3,
+      alphabetCharsPerToken: 2.5,
+      cjkTokensPerChar: 1.2
+    },
+    o200k: {
+      name: 'GPT-4o',
+      wordCharsPerToken: 4.5,
+      digitsPerToken: 3,
+      alphabetCharsPerToken: 3.5,
+      cjkTokensPerChar: 0.8
+    },
+    claude: {
+      name: 'Claude',
+      wordCharsPerToken: 3.5,
+      digitsPerToken: 3,
+      alphabetCharsPerToken: 2.5,
+      cjkTokensPerChar: 1.2
+    },
+    gemini: {
+      name: 'Gemini / Llama',
+      wordCharsPerToken: 4.5,
+      digitsPerToken: 1,
+      alphabetCharsPerToken: 3,
+      cjkTokensPerChar: 0.9
+    }
+  };
+  
+  const DEFAULT_ENCODING = 'cl100k';
+  
+  // Words (with one leading space), digit runs, punctuation runs, whitespace
+  const PIECE_PATTERN = /\s?[\p{L}\p{M}]+|\s?\p{N}+|\s?[^\s\p{L}\p{M}\p{N}]+|\s+/gu;
+  
+  const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+  const LATIN_PATTERN = /[A-Za-z]/g;
+  
+  // =========================================================================
+  // ESTIMATION
+  // =========================================================================
+  
+  function countMatches(text, pattern) {
+    const matches = text.match(pattern);
+    return matches ? matches.length : 0;
+  }
+  
+  /**
+   * Tokens of one word (fractional): common words of up to six letters are a
+   * single token, longer ones cost more per few letters; other scripts are
+   * priced per character
+   */
+  function estimateWordTokens(word, rates) {
+    const cjk = countMatches(word, CJK_PATTERN);
+    const latin = countMatches(word, LATIN_PATTERN);
+    const other = word.length - cjk - latin;
+    
+    const latinTokens = latin > 0 ? 1 + Math.max(0, latin - 6) / rates.wordCharsPerToken : 0;
+    return Math.max(1, latinTokens + other / rates.alphabetCharsPerToken + cjk * rates.cjkTokensPerChar);
+  }
+  
+  /**
+   * Estimate the number of tokens a text takes in a model's tokenizer
+   *
+   * @param {string} text - Text to measure
+   * @param {string} encoding - Key of ENCODINGS (default: cl100k)
+   * @returns {number} Estimated token count
+   */
+  function estimateTokens(text, encoding = DEFAULT_ENCODING) {
+    if (!text) return 0;
+    
+    const rates = ENCODINGS[encoding] || ENCODINGS[DEFAULT_ENCODING];
+    let tokens = 0;
+    
+    for (const [piece] of text.matchAll(PIECE_PATTERN)) {
+      const body = piece.trimStart();
+      
+      if (!body) {
+        // Runs of spaces and line breaks merge into few tokens
+        tokens += Math.ceil(piece.length / 8);
+      } else if (/^\p{N}/u.test(body)) {
+        tokens += Math.ceil(body.length / rates.digitsPerToken);
+      } else if (/^[\p{L}\p{M}]/u.test(body)) {
+        tokens += estimateWordTokens(body, rates);
+      } else {
+        // ASCII punctuation pairs up (". ", "),", "--"); other symbols and emoji cost more
+        const ascii = countMatches(body, /[\x21-\x7E]/g);
+        tokens += Math.max(1, Math.ceil(ascii / 2 + (body.length - ascii) * 1.5));
+      }
+    }
+    
+    return Math.round(tokens);
+  }
+  
+  /**
+   * Measure text in a budget unit
+   *
+   * @param {string} text - Text to measure
+   * @param {string} unit - 'characters' or 'tokens'
+   * @param {string} encoding - Key of ENCODINGS, for tokens
+   * @returns {number} Size in the unit
+   */
+  function measure(text, unit = 'characters', encoding = DEFAULT_ENCODING) {
+    return unit === 'tokens' ? estimateTokens(text, encoding) : text.length;
+  }
+  
+  // =========================================================================
+  // PUBLIC API
+  // =========================================================================
+  
+  window.InvantiaTokenizer = {
+    estimateTokens,
+    measure,
+    ENCODINGS,
+    DEFAULT_ENCODING
+  };
+  
+  console.log('Token estimator loaded');
+
+})();
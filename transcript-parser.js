@@ -0,0 +1,273 @@
+// ~/fastapi_app/static/desktop/transcript-parser.js
+// Transcript Parser - speaker turns from subtitles and transcripts
+//
+// Reads SRT and WebVTT subtitle files and speaker-labeled plain text
+// ("THE WITNESS: ...", "Q. ...", "[00:14:32] Jane Doe: ...") into speaker turns:
+// {speaker, startTime, endTime, text}, with times in seconds (null when unknown).
+// Consecutive cues of one speaker are merged into a turn; unlabeled cues
+// continue the turn before them.
+
+(function() {
+  'use strict';
+  
+  // =========================================================================
+  // CONFIGURATION
+  // =========================================================================
+  
+  // Subtitle turns longer than this are closed at the next sentence end,
+  // so long monologues still get timestamps every few cues
+  const MAX_TURN_LENGTH = 1000;
+  
+  const CUE_TIMING_PATTERN = /^\s*(\S+)\s+-->\s+(\S+)/;
+  const LINE_TIME_PATTERN = /^\[?((?:\d+:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)\]?[ \t]+/;
+  
+  // "THE WITNESS:", "Mr. Smith:", "Speaker 1:" - up to four capitalized words or numbers
+  const SPEAKER_PATTERN = /^(?:>>[ \t]*|-[ \t]+)?((?:[A-Z][\w.'-]*|\d+)(?:[ \t]+(?:[A-Z][\w.'-]*|\d+)){0,3}):[ \t]+(?=\S)/;
+  
+  // Deposition questions and answers: "Q. Where were you?" / "A. At home."
+  const QUESTION_ANSWER_PATTERN = /^(Q|A)\.[ \t]+(?=\S)/;
+  
+  const VOICE_PATTERN = /<v(?:\.[\w.-]+)?[ \t]+([^>]+)>/;
+  
+  // =========================================================================
+  // TIMESTAMPS
+  // =========================================================================
+  
+  /**
+   * Parse "00:14:32,500" (SRT), "00:14:32.500" or "14:32.500" (WebVTT) into seconds
+   *
+   * @param {string} value - Timestamp
+   * @returns {number|null} Seconds, or null if the value is not a timestamp
+   */
+  function parseTimestamp(value) {
+    const match = String(value).match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/);
+    if (!match) return null;
+    
+    const [, hours, minutes, seconds, fraction] = match;
+    return Number(hours || 0) * 3600 +
+      Number(minutes) * 60 +
+      Number(seconds) +
+      (fraction ? Number(fraction.padEnd(3, '0')) / 1000 : 0);
+  }
+  
+  /**
+   * Format seconds as "00:14:32"
+   *
+   * @param {number} seconds - Time in seconds
+   * @returns {string} Timestamp
+   */
+  function formatTimestamp(seconds) {
+    const total = Math.floor(seconds);
+    const pad = (value) => String(value).padStart(2, '0');
+    
+    return `${pad(Math.floor(total / 3600))}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+  }
+  
+  // =========================================================================
+  // SPEAKER LABELS
+  // =========================================================================
+  
+  /**
+   * Split a leading speaker label off a line
+   *
+   * @param {string} line - Line of text
+   * @returns {Object|null} {speaker, text}, or null if the line has no label
+   */
+  function matchSpeaker(line) {
+    const match = line.match(QUESTION_ANSWER_PATTERN) || line.match(SPEAKER_PATTERN);
+    if (!match) return null;
+    
+    return { speaker: match[1], text: line.slice(match[0].length) };
+  }
+  
+  /**
+   * Fill in missing end times from the start of the next turn and drop empty turns
+   */
+  function closeTurns(turns) {
+    turns.forEach((turn, i) => {
+      if (turn.endTime === null) {
+        const next = turns.slice(i + 1).find(other => other.startTime !== null);
+        turn.endTime = next ? next.startTime : null;
+      }
+      turn.text = turn.text.replace(/\n{3,}/g, '\n\n').trim();
+    });
+    
+    return turns.filter(turn => turn.text.length > 0);
+  }
+  
+  // =========================================================================
+  // SUBTITLES (SRT AND WEBVTT)
+  // =========================================================================
+  
+  function decodeEntities(text) {
+    return text
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+  
+  /**
+   * Read the cues of an SRT or WebVTT file
+   * Blocks without a timing line (the WEBVTT header, NOTE, STYLE and REGION
+   * blocks) are skipped; styling tags are removed from the cue text
+   *
+   * @param {string} source - File content
+   * @returns {Array<Object>} Cues: {speaker, startTime, endTime, text}
+   */
+  function parseCues(source) {
+    const cues = [];
+    
+    source.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/).forEach(block => {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      if (timingIndex === -1 || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) return;
+      
+      const timing = lines[timingIndex].match(CUE_TIMING_PATTERN);
+      if (!timing) return;
+      
+      let text = lines.slice(timingIndex + 1).join('\n');
+      const voice = text.match(VOICE_PATTERN);
+      
+      text = decodeEntities(text
+        .replace(/<[^>]*>/g, '')
+        .replace(/\{\\[^}]*\}/g, ''))
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .join(' ');
+      
+      let speaker = voice ? voice[1].trim() : null;
+      if (!speaker) {
+        const label = matchSpeaker(text);
+        if (label) {
+          ({ speaker, text } = label);
+        }
+      }
+      
+      if (text) {
+        cues.push({
+          speaker: speaker,
+          startTime: parseTimestamp(timing[1]),
+          endTime: parseTimestamp(timing[2]),
+          text: text
+        });
+      }
+    });
+    
+    return cues;
+  }
+  
+  /**
+   * Parse an SRT or WebVTT file into speaker turns
+   *
+   * @param {string} source - File content
+   * @returns {Array<Object>} Turns: {speaker, startTime, endTime, text}
+   */
+  function parseSubtitles(source) {
+    const turns = [];
+    let current = null;
+    
+    parseCues(source).forEach(cue => {
+      const sameSpeaker = current && (!cue.speaker || cue.speaker === current.speaker);
+      const full = current && current.text.length >= MAX_TURN_LENGTH && /[.!?]["')\]]?$/.test(current.text);
+      
+      if (sameSpeaker && !full) {
+        current.text += ` ${cue.text}`;
+        current.endTime = cue.endTime;
+        return;
+      }
+      
+      current = {
+        speaker: cue.speaker || (current ? current.speaker : null),
+        startTime: cue.startTime,
+        endTime: cue.endTime,
+        text: cue.text
+      };
+      turns.push(current);
+    });
+    
+    return closeTurns(turns);
+  }
+  
+  // =========================================================================
+  // SPEAKER-LABELED TEXT
+  // =========================================================================
+  
+  /**
+   * Check whether plain text reads as a transcript: at least two speakers
+   * labeled more than once (so a letter opening with "Re:" or an email header
+   * block is not mistaken for one)
+   *
+   * @param {string} text - Plain text
+   * @returns {boolean} True if the text is speaker-labeled
+   */
+  function isSpeakerTranscript(text) {
+    const counts = new Map();
+    
+    text.split(/\r?\n/).forEach(line => {
+      const label = matchSpeaker(line.trim().replace(LINE_TIME_PATTERN, ''));
+      if (label) {
+        counts.set(label.speaker, (counts.get(label.speaker) || 0) + 1);
+      }
+    });
+    
+    return [...counts.values()].filter(count => count >= 2).length >= 2;
+  }
+  
+  /**
+   * Parse speaker-labeled text into turns
+   * A labeled line starts a turn (optionally after a "[00:14:32]" timestamp);
+   * unlabeled lines continue it. Text before the first label is a turn
+   * without a speaker.
+   *
+   * @param {string} text - Plain text
+   * @returns {Array<Object>} Turns: {speaker, startTime, endTime, text}
+   */
+  function parseSpeakerText(text) {
+    const turns = [];
+    let current = null;
+    
+    text.split(/\r?\n/).forEach(rawLine => {
+      const line = rawLine.trim();
+      if (!line) {
+        if (current) current.text += '\n';
+        return;
+      }
+      
+      const time = line.match(LINE_TIME_PATTERN);
+      const rest = time ? line.slice(time[0].length) : line;
+      const label = matchSpeaker(rest);
+      
+      if (label || time || !current) {
+        current = {
+          speaker: label ? label.speaker : null,
+          startTime: time ? parseTimestamp(time[1]) : null,
+          endTime: null,
+          text: label ? label.text : rest
+        };
+        turns.push(current);
+        return;
+      }
+      
+      current.text += `\n${line}`;
+    });
+    
+    return closeTurns(turns);
+  }
+  
+  // =========================================================================
+  // PUBLIC API
+  // =========================================================================
+  
+  window.InvantiaTranscript = {
+    parseSubtitles,
+    parseSpeakerText,
+    isSpeakerTranscript,
+    parseTimestamp,
+    formatTimestamp
+  };
+  
+  console.log('Transcript parser loaded');
+
+})();
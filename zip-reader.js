@@ -0,0 +1,249 @@
+// ~/fastapi_app/static/desktop/zip-reader.js
+// Minimal ZIP Archive Reader - lists entries and inflates them in the browser
+//
+// Office formats (XLSX, PPTX, ODT) are ZIP containers of XML parts.
+// Decompression uses the built-in DecompressionStream, so no library is needed.
+// Supports stored and deflated entries, UTF-8 names and ZIP64 archives.
+
+(function() {
+  'use strict';
+  
+  // =========================================================================
+  // CONFIGURATION
+  // =========================================================================
+  
+  const SIGNATURES = {
+    localFile: 0x04034b50,
+    centralDirectory: 0x02014b50,
+    endOfCentralDirectory: 0x06054b50,
+    zip64EndOfCentralDirectory: 0x06064b50,
+    zip64Locator: 0x07064b50
+  };
+  
+  const METHOD_STORED = 0;
+  const METHOD_DEFLATED = 8;
+  
+  // End of central directory record (22 bytes) plus the longest possible comment
+  const MAX_EOCD_SEARCH = 22 + 0xFFFF;
+  
+  // =========================================================================
+  // ARCHIVE STRUCTURE
+  // =========================================================================
+  
+  function readUint64(view, offset) {
+    return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+  }
+  
+  function findEndOfCentralDirectory(view) {
+    const lowest = Math.max(0, view.byteLength - MAX_EOCD_SEARCH);
+    
+    for (let offset = view.byteLength - 22; offset >= lowest; offset--) {
+      if (view.getUint32(offset, true) === SIGNATURES.endOfCentralDirectory) {
+        return offset;
+      }
+    }
+    
+    throw new Error('Not a ZIP archive (end of central directory not found)');
+  }
+  
+  /**
+   * Read the central directory location, following the ZIP64 record when present
+   */
+  function readDirectoryLocation(view) {
+    const eocd = findEndOfCentralDirectory(view);
+    
+    let entryCount = view.getUint16(eocd + 10, true);
+    let directoryOffset = view.getUint32(eocd + 16, true);
+    
+    const locator = eocd - 20;
+    if (locator >= 0 && view.getUint32(locator, true) === SIGNATURES.zip64Locator) {
+      const zip64Eocd = readUint64(view, locator + 8);
+      if (view.getUint32(zip64Eocd, true) === SIGNATURES.zip64EndOfCentralDirectory) {
+        entryCount = readUint64(view, zip64Eocd + 32);
+        directoryOffset = readUint64(view, zip64Eocd + 48);
+      }
+    }
+    
+    return { entryCount, directoryOffset };
+  }
+  
+  /**
+   * Apply the ZIP64 extended information extra field (id 0x0001)
+   * Only values saturated at 0xFFFFFFFF in the directory are present, in this order
+   */
+  function applyZip64Extra(view, extraStart, extraLength, entry) {
+    let offset = extraStart;
+    const extraEnd = extraStart + extraLength;
+    
+    while (offset + 4 <= extraEnd) {
+      const id = view.getUint16(offset, true);
+      const size = view.getUint16(offset + 2, true);
+      
+      if (id === 0x0001) {
+        let field = offset + 4;
+        if (entry.size === 0xFFFFFFFF) { entry.size = readUint64(view, field); field += 8; }
+        if (entry.compressedSize === 0xFFFFFFFF) { entry.compressedSize = readUint64(view, field); field += 8; }
+        if (entry.localHeaderOffset === 0xFFFFFFFF) { entry.localHeaderOffset = readUint64(view, field); }
+        return;
+      }
+      
+      offset += 4 + size;
+    }
+  }
+  
+  /**
+   * Convert MS-DOS date and time fields to a Date
+   */
+  function dosDateTime(date, time) {
+    return new Date(
+      1980 + (date >> 9),
+      ((date >> 5) & 0x0F) - 1,
+      date & 0x1F,
+      time >> 11,
+      (time >> 5) & 0x3F,
+      (time & 0x1F) * 2
+    );
+  }
+  
+  function readEntries(view, bytes) {
+    const { entryCount, directoryOffset } = readDirectoryLocation(view);
+    const utf8 = new TextDecoder('utf-8');
+    const entries = [];
+    
+    let offset = directoryOffset;
+    
+    for (let i = 0; i < entryCount; i++) {
+      if (view.getUint32(offset, true) !== SIGNATURES.centralDirectory) {
+        throw new Error('Corrupt ZIP archive (bad central directory entry)');
+      }
+      
+      const flags = view.getUint16(offset + 8, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const nameStart = offset + 46;
+      
+      const name = utf8.decode(bytes.subarray(nameStart, nameStart + nameLength));
+      
+      const entry = {
+        name: name,
+        isDirectory: name.endsWith('/'),
+        encrypted: (flags & 0x0001) !== 0,
+        method: view.getUint16(offset + 10, true),
+        lastModified: dosDateTime(view.getUint16(offset + 14, true), view.getUint16(offset + 12, true)),
+        compressedSize: view.getUint32(offset + 20, true),
+        size: view.getUint32(offset + 24, true),
+        localHeaderOffset: view.getUint32(offset + 42, true)
+      };
+      
+      applyZip64Extra(view, nameStart + nameLength, extraLength, entry);
+      entries.push(entry);
+      
+      offset = nameStart + nameLength + extraLength + commentLength;
+    }
+    
+    return entries;
+  }
+  
+  // =========================================================================
+  // DECOMPRESSION
+  // =========================================================================
+  
+  async function inflateRaw(data) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot decompress ZIP data (DecompressionStream unavailable)');
+    }
+    
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+  
+  async function readEntryBytes(view, bytes, entry) {
+    if (entry.encrypted) {
+      throw new Error(`Cannot read encrypted ZIP entry: ${entry.name}`);
+    }
+    
+    const header = entry.localHeaderOffset;
+    if (view.getUint32(header, true) !== SIGNATURES.localFile) {
+      throw new Error(`Corrupt ZIP archive (bad local header for ${entry.name})`);
+    }
+    
+    // The local header has its own name/extra lengths, which may differ from the directory
+    const dataStart = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + entry.compressedSize);
+    
+    if (entry.method === METHOD_STORED) {
+      return data;
+    }
+    
+    if (entry.method === METHOD_DEFLATED) {
+      return inflateRaw(data);
+    }
+    
+    throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}`);
+  }
+  
+  // =========================================================================
+  // PUBLIC API
+  // =========================================================================
+  
+  /**
+   * Open a ZIP archive
+   *
+   * @param {ArrayBuffer|Uint8Array|Blob} source - Archive data (a File works too)
+   * @returns {Promise<Object>} Archive with entries, has(name), readBytes(name), readText(name)
+   */
+  async function openZip(source) {
+    const buffer = source instanceof Blob ? await source.arrayBuffer() : source;
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    
+    const entries = readEntries(view, bytes);
+    const byName = new Map(entries.map(entry => [entry.name, entry]));
+    
+    const getEntry = (name) => {
+      const entry = byName.get(name);
+      if (!entry) {
+        throw new Error(`ZIP entry not found: ${name}`);
+      }
+      return entry;
+    };
+    
+    return {
+      entries: entries,
+      
+      has(name) {
+        return byName.has(name);
+      },
+      
+      readBytes(name) {
+        return readEntryBytes(view, bytes, getEntry(name));
+      },
+      
+      async readText(name) {
+        const data = await readEntryBytes(view, bytes, getEntry(name));
+        return new TextDecoder('utf-8').decode(data);
+      }
+    };
+  }
+  
+  /**
+   * Check whether data starts like a ZIP archive (local file header signature)
+   *
+   * @param {ArrayBuffer|Uint8Array} buffer - Leading bytes of a file
+   * @returns {boolean} True if the ZIP signature is present
+   */
+  function isZip(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    return bytes.length >= 4 &&
+      bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04;
+  }
+  
+  window.InvantiaZip = {
+    openZip,
+    isZip
+  };
+  
+  console.log('ZIP reader loaded');
+
+})();